@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+
+/**
+ * analyze_mods.mjs
+ *
+ * Headless runner for the web analyzer pipeline, for CI.
+ * Loads an analyzer build from src/web/versions and runs the same parsing,
+ * error extraction and validation as the browser (src/web/js/analysis-core.mjs)
+ * over zips, folders of zips and unzipped mod folders.
+ *
+ * Usage:
+ *   node scripts/analyze_mods.mjs [--version=<v>] [--format=text|json] [--profile=<id>] [--option=<name>=<value>...] <path>...
+ *
+ * Exits with 1 if any mod fails to parse or fails validation under the profile, 2 on bad usage.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const require = createRequire(import.meta.url);
+const WEB_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../src/web');
+
+// file-discovery.mjs expects the vendored JSZip global, same as in the page
+globalThis.JSZip = require(path.join(WEB_DIR, 'vendor/jszip.min.js'));
+
+const { runAnalyzer, discoverOptions, buildModData, buildFailedModData } = await import(pathToFileURL(path.join(WEB_DIR, 'js/analysis-core.mjs')));
+const { createDefaultRegistry } = await import(pathToFileURL(path.join(WEB_DIR, 'js/validation.mjs')));
+const { BUILT_IN_PROFILES, DEFAULT_PROFILE_ID } = await import(pathToFileURL(path.join(WEB_DIR, 'js/validation-profiles.mjs')));
+const { checkOptionValues, resolveOptionValues } = await import(pathToFileURL(path.join(WEB_DIR, 'js/cli-options.mjs')));
+const { findModPackages, isModFolder, zipFolder, isHiddenPath } = await import(pathToFileURL(path.join(WEB_DIR, 'js/file-discovery.mjs')));
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const USAGE = `Usage: node scripts/analyze_mods.mjs [options] <zip|folder>...
+
+Options:
+  --version=<v>              Analyzer build from src/web/versions (defaults to the latest release)
+  --format=<text|json>       Output format (defaults to text)
+  --profile=<id>             Validation profile: ${BUILT_IN_PROFILES.map(profile => profile.id).join(', ')} (defaults to ${DEFAULT_PROFILE_ID})
+  --option=<name>=<value>    Analyzer option, may be repeated
+  --help                     Show this message`;
+
+class UsageError extends Error {}
+
+const parseArgs = (argv) => {
+  const args = { version: null, format: 'text', profile: DEFAULT_PROFILE_ID, options: {}, paths: [], help: false };
+  
+  for (const arg of argv.slice(2)) {
+    if (!arg.startsWith('--')) {
+      args.paths.push(arg);
+      continue;
+    }
+    
+    const [key, ...rest] = arg.slice(2).split('=');
+    const value = rest.join('=');
+    
+    if (key === 'help') {
+      args.help = true;
+    } else if (key === 'version' || key === 'format' || key === 'profile') {
+      args[key] = value;
+    } else if (key === 'option') {
+      const [name, ...optionValue] = value.split('=');
+      args.options[name] = optionValue.length > 0 ? optionValue.join('=') : 'true';
+    } else {
+      throw new UsageError(`Unknown argument: ${arg}`);
+    }
+  }
+  
+  if (!['text', 'json'].includes(args.format)) {
+    throw new UsageError(`Unknown format: ${args.format}`);
+  }
+  if (!BUILT_IN_PROFILES.some(profile => profile.id === args.profile)) {
+    throw new UsageError(`Unknown profile: ${args.profile}`);
+  }
+  
+  return args;
+};
+
+// Newest release flagged in versions/index.json, falling back to the latest build
+const findLatestVersion = () => {
+  try {
+    const index = JSON.parse(fs.readFileSync(path.join(WEB_DIR, 'versions/index.json'), 'utf8'));
+    return index.find(entry => entry.latest)?.version || 'latest';
+  } catch (error) {
+    return 'latest';
+  }
+};
+
+// ============================================================================
+// Analyzer Loading
+// ============================================================================
+
+const loadAnalyzer = async (version, log) => {
+  const dir = path.join(WEB_DIR, 'versions', version);
+  if (!fs.existsSync(path.join(dir, 'onb_mod_file.wasm'))) {
+    throw new UsageError(`Analyzer build not found: ${dir}`);
+  }
+  
+  // The worker streams Dart print() output; here it is collected per mod
+  globalThis.dartPrint = (value) => log.push(String(value));
+  
+  const build = await import(pathToFileURL(path.join(dir, 'onb_mod_file.mjs')));
+  const module = await WebAssembly.compile(fs.readFileSync(path.join(dir, 'onb_mod_file.wasm')));
+  build.invoke(await build.instantiate(module, {}));
+  
+  if (typeof globalThis.analyzeModFile !== 'function') {
+    throw new Error(`${version} did not export analyzeModFile`);
+  }
+  return globalThis.analyzeModFile;
+};
+
+// Same checks as the option controls: unknown options and invalid values are rejected
+const resolveAnalyzerOptions = (descriptors, given) => {
+  const errors = checkOptionValues(descriptors, given);
+  if (errors.length > 0) {
+    throw new UsageError(errors.join('\n'));
+  }
+  return resolveOptionValues(descriptors, given);
+};
+
+// ============================================================================
+// Input Discovery
+// ============================================================================
+
+const toFile = (filePath) => new File([fs.readFileSync(filePath)], path.basename(filePath));
+
+// Files under a folder with paths relative to its parent, like a dropped folder in the browser
+const walkFolder = (dir, relative = path.basename(dir)) =>
+  fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const entryPath = path.join(dir, entry.name);
+    const entryRelative = `${relative}/${entry.name}`;
+    if (entry.isDirectory()) return walkFolder(entryPath, entryRelative);
+    return entry.isFile() ? [{ file: toFile(entryPath), path: entryRelative }] : [];
+  });
+
+const collectPackages = async (inputPath) => {
+  if (!fs.existsSync(inputPath)) {
+    throw new UsageError(`No such file or folder: ${inputPath}`);
+  }
+  
+  if (!fs.statSync(inputPath).isDirectory()) {
+    return findModPackages([{ file: toFile(inputPath), path: inputPath }]);
+  }
+  
+  const folderName = path.basename(path.resolve(inputPath));
+  const files = walkFolder(inputPath, folderName)
+    .filter(({ path: filePath }) => !isHiddenPath(filePath.slice(folderName.length + 1)));
+  
+  // An unzipped mod is zipped in memory; any other folder is searched for zips
+  if (isModFolder(files, folderName)) {
+    return [{ file: await zipFolder(files, folderName), path: `${inputPath}/` }];
+  }
+  return findModPackages(files);
+};
+
+// ============================================================================
+// Analysis
+// ============================================================================
+
+const analyzePackage = async ({ file, path: sourcePath }, { analyzeModFile, options, version, registry, log }) => {
+  const fileData = await file.arrayBuffer();
+  const source = { id: sourcePath, fileName: file.name, sourcePath, fileSize: file.size, options };
+  
+  log.length = 0;
+  try {
+    const result = runAnalyzer(analyzeModFile, fileData, options);
+    return buildModData(source, { ...result, log: log.join('\n'), version }, registry);
+  } catch (error) {
+    error.log = log.join('\n');
+    return buildFailedModData(source, error, registry);
+  }
+};
+
+const isFailure = (mod) => mod.status !== 'success';
+
+// ============================================================================
+// Output
+// ============================================================================
+
+const STATUS_LABELS = {
+  'success': '✓',
+  'validation-failed': '!',
+  'failed': '✗'
+};
+
+const toReport = (mod) => ({
+  path: mod.sourcePath,
+  fileName: mod.fileName,
+  status: mod.status,
+  name: mod.parsed?.name,
+  uuid: mod.parsed?.uuid,
+  category: mod.parsed?.category,
+  version: mod.parsed?.version,
+  error: mod.error || null,
+  processingTime: mod.processingTime,
+  validation: mod.validationResult.issues.map(({ nodeId, field, severity, message }) => ({ id: nodeId, field, severity, message })),
+  diagnostics: mod.diagnostics,
+  stdout: mod.result?.stdout || '',
+  stderr: mod.result?.stderr || '',
+  log: mod.result?.log || ''
+});
+
+const printText = (mods, version, profile) => {
+  console.log(`Analyzer ${version}, ${profile.name} profile\n`);
+  
+  for (const mod of mods) {
+    console.log(`${STATUS_LABELS[mod.status] || '?'} ${mod.sourcePath} - ${mod.parsed?.name || 'unknown'} (${mod.status})`);
+    // Analyzer failures are usually also a validation issue - don't print them twice
+    if (mod.error && !mod.validationResult.issues.some(issue => issue.message === mod.error)) {
+      console.log(`    ${mod.error}`);
+    }
+    for (const issue of mod.validationResult.issues) {
+      console.log(`    ${issue.severity}: [${issue.field}] ${issue.message}`);
+    }
+  }
+  
+  const failed = mods.filter(isFailure).length;
+  console.log(`\n${mods.length} mod${mods.length === 1 ? '' : 's'} analyzed, ${mods.length - failed} passed, ${failed} failed`);
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv);
+  if (args.help || args.paths.length === 0) {
+    console.log(USAGE);
+    return args.help ? 0 : 2;
+  }
+  
+  const version = args.version || findLatestVersion();
+  const log = [];
+  const analyzeModFile = await loadAnalyzer(version, log);
+  const options = resolveAnalyzerOptions(discoverOptions(), args.options);
+  const profile = BUILT_IN_PROFILES.find(({ id }) => id === args.profile);
+  const registry = createDefaultRegistry().setProfile(profile);
+  
+  const packages = [];
+  for (const inputPath of args.paths) {
+    packages.push(...await collectPackages(inputPath));
+  }
+  if (packages.length === 0) {
+    throw new UsageError('No mod packages found');
+  }
+  
+  const mods = [];
+  for (const modPackage of packages) {
+    mods.push(await analyzePackage(modPackage, { analyzeModFile, options, version, registry, log }));
+  }
+  
+  if (args.format === 'json') {
+    console.log(JSON.stringify({ version, profile: profile.id, options, mods: mods.map(toReport) }, null, 2));
+  } else {
+    printText(mods, version, profile);
+  }
+  
+  return mods.some(isFailure) ? 1 : 0;
+};
+
+// ============================================================================
+// Entry Point
+// ============================================================================
+
+try {
+  process.exitCode = await main();
+} catch (error) {
+  if (error instanceof UsageError) {
+    console.error(`Error: ${error.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+  } else {
+    console.error(`\nFatal error: ${error.message}`);
+    console.error(error.stack);
+    process.exitCode = 1;
+  }
+}
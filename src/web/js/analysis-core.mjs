@@ -0,0 +1,205 @@
+// Analysis Core - turns analyzer output into mod data (parsed fields, diagnostics, validation, status)
+// Shared by the web app and the command-line runner, so it must not touch the DOM or workers
+
+import * as parser from './parser.mjs';
+import { parseDiagnostics, filterBySeverity } from './diagnostics.mjs';
+import { parseHelpText, normalizeOptions } from './cli-options.mjs';
+
+/**
+ * Run a loaded analyzer build over a zip
+ * @param {Function} analyzeModFile - Function the build exports (globalThis.analyzeModFile)
+ * @param {ArrayBuffer|Uint8Array} fileData - Zip bytes
+ * @param {Object} [options] - Analyzer option values keyed by name
+ * @returns {Object} { success, data, stdout, stderr, error, processingTime }
+ */
+export function runAnalyzer(analyzeModFile, fileData, options = {}) {
+    try {
+        const startTime = performance.now();
+        
+        // Convert ArrayBuffer to Uint8Array
+        const bytes = fileData instanceof Uint8Array ? fileData : new Uint8Array(fileData);
+        
+        // Call the WASM function (exported to globalThis by Dart main)
+        const resultJson = analyzeModFile(bytes, options || null);
+        
+        // Parse the result
+        const result = JSON.parse(resultJson);
+        
+        const processingTime = performance.now() - startTime;
+        
+        return {
+            success: result.success,
+            data: result.json || null,
+            stdout: result.stdout || '',
+            stderr: result.stderr || '',
+            error: result.error || null,
+            processingTime
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message,
+            stack: error.stack,
+            processingTime: 0
+        };
+    }
+}
+
+/**
+ * Ask a loaded analyzer build which options it supports
+ * @param {Object} [scope] - Where the build exported its functions
+ * @returns {Array<Object>} Normalized option descriptors
+ */
+export function discoverOptions(scope = globalThis) {
+    try {
+        // Builds that describe their options directly
+        if (typeof scope.getAnalyzerOptions === 'function') {
+            const reported = scope.getAnalyzerOptions();
+            return normalizeOptions(typeof reported === 'string' ? JSON.parse(reported) : reported);
+        }
+        
+        // Otherwise fall back to parsing --help output
+        const help = JSON.parse(scope.analyzeModFile(new Uint8Array(0), { help: true }));
+        return parseHelpText(help.stdout || '');
+    } catch (error) {
+        console.warn('Could not discover analyzer options:', error);
+        return [];
+    }
+}
+
+/**
+ * Build mod data from an analyzer result: parsed fields, diagnostics, validation and status
+ * @param {Object} source - { id, fileName, fileSize, fileData, options } of the analyzed file
+ * @param {Object} result - Analyzer result (see runAnalyzer)
+ * @param {ValidationRegistry} registry - Validators to run
+ * @returns {Object} Mod data
+ */
+export function buildModData(source, result, registry) {
+    // Create mod data with all information
+    const modData = {
+        ...source,
+        result: result,
+        parsed: parser.parseAnalysisResult(result),
+        diagnostics: parseDiagnostics(result.stderr),
+        processingTime: result.processingTime,
+        timestamp: new Date()
+    };
+    
+    return applyValidation(modData, registry);
+}
+
+/**
+ * Validate mod data and derive its status and error categories
+ * @param {Object} modData - Mod data with result, parsed and diagnostics set
+ * @param {ValidationRegistry} registry - Validators to run
+ * @returns {Object} The same mod data
+ */
+function applyValidation(modData, registry) {
+    // Run validation once using validation registry
+    modData.validationResult = registry.validate(modData);
+    
+    // Derive status from validation result
+    const hasAnalyzerError = modData.validationResult.byField.has('analyzer');
+    const hasParserError = hasAnalyzerError; // Analyzer errors include parser failures
+    
+    if (hasParserError) {
+        modData.status = 'failed';
+        // Set error message from analyzer validation
+        const analyzerIssues = modData.validationResult.byField.get('analyzer');
+        if (analyzerIssues && analyzerIssues.length > 0 && !modData.error) {
+            modData.error = analyzerIssues[0].message;
+        }
+    } else if (modData.validationResult.fails()) {
+        // The registry's profile decides which severities fail a mod
+        modData.status = 'validation-failed';
+    } else {
+        modData.status = 'success';
+    }
+    
+    // Backward compatibility: maintain old validationErrors format
+    // Include all validation errors except analyzer errors (which are shown separately)
+    modData.validationErrors = modData.validationResult.bySeverity.error
+        .filter(issue => issue.field !== 'analyzer')
+        .map(issue => ({
+            field: issue.field,
+            message: issue.message
+        }));
+    
+    // Derive error categories from validation result
+    modData.errorCategories = {
+        validation: modData.validationErrors,
+        analyzer: modData.validationResult.byField.get('analyzer') || [],
+        stderr: filterBySeverity(modData.diagnostics, 'error'),
+        other: []
+    };
+    
+    // Mark as validated
+    modData.validationComplete = true;
+    
+    return modData;
+}
+
+/**
+ * Re-run validation on an analyzed mod, e.g. after the custom rules or the profile changed
+ * Mods the analyzer couldn't process are returned unchanged
+ * @param {Object} modData - Mod data from buildModData
+ * @param {ValidationRegistry} registry - Validators to run
+ * @returns {Object} New mod data with fresh validation and status
+ */
+export function revalidateModData(modData, registry) {
+    if (modData.status === 'failed' || modData.status === 'cancelled') return modData;
+    return applyValidation({ ...modData }, registry);
+}
+
+/**
+ * Build mod data for a file the analyzer couldn't process
+ * @param {Object} source - { id, fileName, fileSize, fileData } of the file
+ * @param {Error} error - Why processing failed (cancelled jobs have isCancelled set, log holds output printed so far)
+ * @param {ValidationRegistry} registry - Validators to run
+ * @returns {Object} Failed (or cancelled) mod data
+ */
+export function buildFailedModData(source, error, registry) {
+    // Create failed mod data with empty result/parsed objects to avoid errors in display
+    // fileData is kept so the file browser can still access it
+    const modData = {
+        ...source,
+        status: error.isCancelled ? 'cancelled' : 'failed',
+        error: error.message,
+        timestamp: new Date(),
+        result: {
+            stderr: error.message,
+            stdout: '',
+            log: error.log || '',
+            data: {},
+            processingTime: 0,
+            success: false,
+            error: error.message
+        },
+        parsed: {
+            name: 'unknown',
+            id: 'unknown',
+            uuid: 'unknown',
+            game: 'unknown',
+            version: '0.0.0',
+            category: 'err',
+            path: '',
+            stderr: error.message
+        },
+        diagnostics: []
+    };
+    
+    // Run validation on failed mod too
+    modData.validationResult = registry.validate(modData);
+    
+    // Backward compatibility
+    modData.validationErrors = [];
+    modData.errorCategories = {
+        validation: [],
+        analyzer: modData.validationResult.byField.get('analyzer') || [],
+        stderr: [],
+        other: []
+    };
+    modData.validationComplete = true;
+    
+    return modData;
+}
@@ -0,0 +1,233 @@
+// CLI Options - discovery and normalization of analyzer command-line options
+// Shared by the worker (discovery) and the main thread (controls, persistence)
+
+// File-system oriented options that have no meaning when analyzing in the browser
+export const IGNORED_OPTIONS = ['path', 'out', 'err', 'batch', 'dry', 'help', 'version'];
+
+// Option line in Dart `args` usage output, e.g. "-o, --out=<dir>    Output directory"
+const OPTION_LINE = /^\s*(?:-(\w),\s*)?--(\[no-\])?([\w-]+)(?:[= ]<([^>]+)>)?\s*(.*)$/;
+
+// Placeholder names that suggest a numeric value
+const NUMERIC_PLACEHOLDERS = /^(n|num|number|count|ms|seconds|size|limit|depth)$/i;
+
+/**
+ * Parse `--help` output into option descriptors
+ * Understands the Dart `args` usage format:
+ *   -s, --[no-]silent        Disable console output
+ *       --format=<type>      Output format
+ *                            [json (default), text]
+ *       --depth=<n>          Include depth
+ *                            (defaults to "3")
+ * @param {string} text - Help output
+ * @returns {Array<Object>} Option descriptors (see normalizeOption)
+ */
+export function parseHelpText(text) {
+    const options = [];
+    let current = null;
+    
+    for (const line of String(text || '').split('\n')) {
+        const match = line.match(OPTION_LINE);
+        
+        if (match) {
+            const [, short, negatable, name, placeholder, description] = match;
+            current = {
+                name,
+                short: short || null,
+                placeholder: placeholder || null,
+                negatable: Boolean(negatable),
+                description: description.trim()
+            };
+            options.push(current);
+            continue;
+        }
+        
+        // Indented continuation lines belong to the previous option
+        if (current && /^\s+\S/.test(line)) {
+            current.description = `${current.description} ${line.trim()}`.trim();
+        } else {
+            current = null;
+        }
+    }
+    
+    return normalizeOptions(options.map(inferOptionDetails));
+}
+
+/**
+ * Infer type, default, allowed values and required flag from a parsed help entry
+ */
+function inferOptionDetails(entry) {
+    let description = entry.description;
+    let defaultValue;
+    let allowed = null;
+    
+    // [a, b (default), c]
+    const allowedMatch = description.match(/\[([^\]]+)\]/);
+    if (allowedMatch) {
+        allowed = allowedMatch[1].split(',').map(v => v.trim()).filter(Boolean).map(v => {
+            const isDefault = /\(default\)$/.test(v);
+            const value = v.replace(/\s*\(default\)$/, '');
+            if (isDefault) defaultValue = value;
+            return value;
+        });
+        description = description.replace(allowedMatch[0], '').trim();
+    }
+    
+    // (defaults to "x") / (defaults to on)
+    const defaultMatch = description.match(/\(defaults to "?([^")]*)"?\)/);
+    if (defaultMatch) {
+        defaultValue = defaultMatch[1];
+        description = description.replace(defaultMatch[0], '').trim();
+    }
+    
+    const required = /\(required\)/.test(description);
+    description = description.replace(/\(required\)/, '').trim();
+    
+    let type = 'flag';
+    if (allowed) {
+        type = 'enum';
+    } else if (entry.placeholder || (defaultMatch && !['on', 'off'].includes(defaultValue))) {
+        const numeric = NUMERIC_PLACEHOLDERS.test(entry.placeholder || '')
+            || (defaultValue !== undefined && defaultValue !== '' && !isNaN(Number(defaultValue)));
+        type = numeric ? 'number' : 'string';
+    }
+    
+    if (type === 'flag') {
+        defaultValue = defaultValue === 'on';
+    }
+    
+    return {
+        name: entry.name,
+        short: entry.short,
+        type,
+        description,
+        defaultValue,
+        allowed,
+        required
+    };
+}
+
+/**
+ * Fill in missing descriptor fields and coerce defaults to the option type
+ * @param {Object} option - Partial option descriptor
+ * @returns {Object} { name, short, type, description, defaultValue, allowed, required }
+ */
+export function normalizeOption(option) {
+    const type = ['flag', 'string', 'number', 'enum'].includes(option.type)
+        ? option.type
+        : Array.isArray(option.allowed) && option.allowed.length > 0 ? 'enum' : 'string';
+    
+    const normalized = {
+        name: String(option.name),
+        short: option.short || null,
+        type,
+        description: option.description || '',
+        defaultValue: option.defaultValue,
+        allowed: type === 'enum' ? (option.allowed || []).map(String) : null,
+        required: Boolean(option.required)
+    };
+    
+    if (normalized.defaultValue === undefined || normalized.defaultValue === null) {
+        normalized.defaultValue = {
+            flag: false,
+            string: '',
+            number: '',
+            enum: normalized.allowed?.[0] ?? ''
+        }[type];
+    } else {
+        normalized.defaultValue = coerceOptionValue(normalized, normalized.defaultValue).value;
+    }
+    
+    return normalized;
+}
+
+/**
+ * Normalize a list of options, dropping ones that don't apply to the web analyzer
+ * @param {Array<Object>} options - Option descriptors from the analyzer
+ * @returns {Array<Object>} Normalized descriptors
+ */
+export function normalizeOptions(options) {
+    if (!Array.isArray(options)) return [];
+    
+    return options
+        .filter(option => option && option.name && !IGNORED_OPTIONS.includes(option.name))
+        .map(normalizeOption);
+}
+
+/**
+ * Convert a raw control value to the option's type and check it against constraints
+ * @param {Object} option - Normalized option descriptor
+ * @param {*} raw - Value from a control or storage
+ * @returns {{value: *, error: string|null}}
+ */
+export function coerceOptionValue(option, raw) {
+    switch (option.type) {
+        case 'flag':
+            return { value: raw === true || raw === 'true' || raw === 'on', error: null };
+        
+        case 'number': {
+            if (raw === '' || raw === null || raw === undefined) {
+                return { value: '', error: option.required ? `${option.name} is required` : null };
+            }
+            const value = Number(raw);
+            return isNaN(value)
+                ? { value: raw, error: `${option.name} must be a number` }
+                : { value, error: null };
+        }
+        
+        case 'enum': {
+            const value = String(raw);
+            return option.allowed.includes(value)
+                ? { value, error: null }
+                : { value, error: `${option.name} must be one of: ${option.allowed.join(', ')}` };
+        }
+        
+        default: {
+            const value = raw === null || raw === undefined ? '' : String(raw);
+            return { value, error: option.required && !value ? `${option.name} is required` : null };
+        }
+    }
+}
+
+/**
+ * Check option values supplied from outside the controls (command line, embedding page)
+ * @param {Array<Object>} options - Normalized option descriptors
+ * @param {Object} given - Values keyed by option name
+ * @returns {Array<string>} Problems found (unknown options, invalid values)
+ */
+export function checkOptionValues(options, given = {}) {
+    const errors = [];
+    
+    for (const [name, raw] of Object.entries(given)) {
+        const option = options.find(o => o.name === name);
+        if (!option) {
+            errors.push(`Unknown analyzer option: ${name} (available: ${options.map(o => o.name).join(', ') || 'none'})`);
+            continue;
+        }
+        
+        const { error } = coerceOptionValue(option, raw);
+        if (error) {
+            errors.push(error);
+        }
+    }
+    
+    return errors;
+}
+
+/**
+ * Build the option values to send to the analyzer: defaults overlaid with saved values
+ * Saved values for options the analyzer no longer reports are dropped
+ * @param {Array<Object>} options - Normalized option descriptors
+ * @param {Object} saved - Saved values keyed by option name
+ * @returns {Object} Values keyed by option name
+ */
+export function resolveOptionValues(options, saved = {}) {
+    const values = {};
+    
+    for (const option of options) {
+        const raw = Object.prototype.hasOwnProperty.call(saved, option.name) ? saved[option.name] : option.defaultValue;
+        const { value, error } = coerceOptionValue(option, raw);
+        values[option.name] = error ? option.defaultValue : value;
+    }
+    
+    return values;
+}
@@ -13,6 +13,13 @@ export const GRAPH_MAX_ZOOM = 4;
 export const PREVIEW_CONTEXT_LINES = 5;
 export const PREVIEW_MAX_LINES = 20;
 
+// Analysis runs kept per mod when it is re-analyzed
+export const MAX_MOD_RUNS = 10;
+
+// Parent pages allowed to drive the analyzer in embed mode (index.html?embed=1), e.g. 'https://mods.example.com'
+// Messages from any other origin are ignored
+export const EMBED_ALLOWED_ORIGINS = [];
+
 // File size formatting
 export const BYTES_PER_KB = 1024;
 export const SIZE_UNITS = ['B', 'KB', 'MB', 'GB'];
@@ -54,5 +61,6 @@ export const ERROR_COLORS = {
 export const STATUS_COLORS = {
     success: 'var(--success-color)',
     warning: 'var(--warning-color)',
-    error: 'var(--error-color)'
+    error: 'var(--error-color)',
+    cancelled: 'var(--text-secondary)'
 };
@@ -0,0 +1,313 @@
+// Custom Rules - user-defined validation rules, stored in localStorage and run as ValidationNodes
+// A rule is plain data, so it can be edited in the rules tab and shared as JSON:
+//   { id, name, source: 'parsed'|'data', field, operator, severity, message, enabled, ...operator settings }
+
+import { ValidationNode } from './validation.mjs';
+import { queryJson, parseJsonPath } from './json-query.mjs';
+
+const STORAGE_KEY = 'modAnalyzer:customRules';
+
+/**
+ * Where a rule's field path starts
+ */
+export const RULE_SOURCES = {
+    parsed: { label: 'mod.parsed', get: mod => mod.parsed },
+    data: { label: 'mod.result.data', get: mod => mod.result?.data }
+};
+
+/**
+ * What a rule checks, with the settings each operator uses
+ */
+export const RULE_OPERATORS = {
+    required: { label: 'is required', settings: [] },
+    regex: { label: 'matches pattern', settings: ['pattern', 'flags', 'negate'] },
+    enum: { label: 'is one of', settings: ['values'] },
+    range: { label: 'is in range', settings: ['min', 'max'] }
+};
+
+export const RULE_SEVERITIES = ['error', 'warning', 'info'];
+
+function isEmpty(value) {
+    if (value === undefined || value === null) return true;
+    if (typeof value === 'string') return value.trim() === '' || value.includes('[web-default:');
+    if (Array.isArray(value)) return value.length === 0;
+    if (typeof value === 'object') return Object.keys(value).length === 0;
+    return false;
+}
+
+/**
+ * Fill in defaults and drop settings the rule's operator doesn't use
+ * @param {Object} rule - Rule as edited or imported
+ * @returns {Object} Rule ready to store
+ */
+export function normalizeRule(rule) {
+    const normalized = {
+        id: rule.id || `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        name: String(rule.name || '').trim() || `${rule.field} ${RULE_OPERATORS[rule.operator]?.label || rule.operator}`,
+        source: rule.source || 'parsed',
+        field: String(rule.field || '').trim(),
+        operator: rule.operator,
+        severity: rule.severity || 'error',
+        message: String(rule.message || '').trim(),
+        enabled: rule.enabled !== false
+    };
+    
+    const settings = RULE_OPERATORS[rule.operator]?.settings || [];
+    if (settings.includes('pattern')) {
+        normalized.pattern = String(rule.pattern ?? '');
+        normalized.flags = String(rule.flags ?? '');
+        normalized.negate = Boolean(rule.negate);
+    }
+    if (settings.includes('values')) {
+        const values = Array.isArray(rule.values) ? rule.values : String(rule.values ?? '').split(',');
+        normalized.values = values.map(value => String(value).trim()).filter(Boolean);
+    }
+    if (settings.includes('min')) {
+        normalized.min = rule.min === '' || rule.min === null || rule.min === undefined ? null : Number(rule.min);
+        normalized.max = rule.max === '' || rule.max === null || rule.max === undefined ? null : Number(rule.max);
+    }
+    
+    return normalized;
+}
+
+/**
+ * Check that a rule can run
+ * @param {Object} rule - Normalized rule
+ * @returns {Array<string>} Problems, empty if the rule is valid
+ */
+export function checkRule(rule) {
+    const problems = [];
+    
+    if (!RULE_SOURCES[rule.source]) {
+        problems.push(`Unknown source "${rule.source}" (use ${Object.keys(RULE_SOURCES).join(' or ')})`);
+    }
+    if (!rule.field) {
+        problems.push('Field path is required');
+    } else {
+        try {
+            queryJson({}, rule.field);
+        } catch (error) {
+            problems.push(`Field path: ${error.message}`);
+        }
+    }
+    if (!RULE_OPERATORS[rule.operator]) {
+        problems.push(`Unknown operator "${rule.operator}" (use ${Object.keys(RULE_OPERATORS).join(', ')})`);
+    }
+    if (!RULE_SEVERITIES.includes(rule.severity)) {
+        problems.push(`Unknown severity "${rule.severity}" (use ${RULE_SEVERITIES.join(', ')})`);
+    }
+    
+    if (rule.operator === 'regex') {
+        try {
+            new RegExp(rule.pattern, rule.flags);
+        } catch (error) {
+            problems.push(`Pattern: ${error.message}`);
+        }
+    }
+    if (rule.operator === 'enum' && rule.values.length === 0) {
+        problems.push('List at least one allowed value');
+    }
+    if (rule.operator === 'range') {
+        if (rule.min === null && rule.max === null) {
+            problems.push('Set a minimum, a maximum or both');
+        }
+        if (Number.isNaN(rule.min) || Number.isNaN(rule.max)) {
+            problems.push('Minimum and maximum must be numbers');
+        }
+        if (rule.min !== null && rule.max !== null && rule.min > rule.max) {
+            problems.push('Minimum is larger than maximum');
+        }
+    }
+    
+    return problems;
+}
+
+/**
+ * One-line summary of what a rule checks, e.g. 'name must not match /test/i'
+ */
+export function describeRule(rule) {
+    switch (rule.operator) {
+        case 'required':
+            return `${rule.field} is required`;
+        case 'regex':
+            return `${rule.field} must ${rule.negate ? 'not ' : ''}match /${rule.pattern}/${rule.flags}`;
+        case 'enum':
+            return `${rule.field} must be one of ${rule.values.join(', ')}`;
+        case 'range':
+            if (rule.min === null) return `${rule.field} must be at most ${rule.max}`;
+            if (rule.max === null) return `${rule.field} must be at least ${rule.min}`;
+            return `${rule.field} must be between ${rule.min} and ${rule.max}`;
+        default:
+            return `${rule.field} ${rule.operator}`;
+    }
+}
+
+/**
+ * Explain why one value fails a rule
+ * @returns {string|null} Problem, or null if the value passes
+ */
+function checkValue(rule, value) {
+    switch (rule.operator) {
+        case 'regex': {
+            if (value === null || typeof value === 'object') return 'is not text';
+            const matches = new RegExp(rule.pattern, rule.flags).test(String(value));
+            return matches === rule.negate ? `"${value}" ${rule.negate ? 'matches' : 'does not match'} /${rule.pattern}/${rule.flags}` : null;
+        }
+        case 'enum':
+            return rule.values.includes(String(value)) ? null : `"${value}" is not one of ${rule.values.join(', ')}`;
+        case 'range': {
+            const number = typeof value === 'number' ? value : Number(value);
+            if (typeof value === 'object' || value === '' || Number.isNaN(number)) return `"${value}" is not a number`;
+            if (rule.min !== null && number < rule.min) return `${number} is below ${rule.min}`;
+            if (rule.max !== null && number > rule.max) return `${number} is above ${rule.max}`;
+            return null;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Run a rule against a mod
+ * Fields that match several values (e.g. "..damage") must all pass; missing fields only fail "required"
+ * @param {Object} rule - Normalized rule
+ * @param {Object} mod - Mod data
+ * @returns {{message: string, value: any}|null} Issue, or null if the mod passes
+ */
+export function evaluateRule(rule, mod) {
+    const root = RULE_SOURCES[rule.source]?.get(mod);
+    const values = root === undefined ? [] : queryJson(root, rule.field).map(match => match.value);
+    
+    // Custom messages can show what was found with {value}
+    const report = (problem, value) => ({
+        message: rule.message
+            ? rule.message.replace(/\{value\}/g, typeof value === 'object' ? JSON.stringify(value) : String(value))
+            : `${rule.field}: ${problem}`,
+        value
+    });
+    
+    if (rule.operator === 'required') {
+        return values.every(isEmpty) ? report('is missing or empty', values[0]) : null;
+    }
+    
+    for (const value of values) {
+        const problem = checkValue(rule, value);
+        if (problem) return report(problem, value);
+    }
+    return null;
+}
+
+/**
+ * Field a rule's issues are reported under, in the registry's dotted form ("name", "result.data.health")
+ * so rules on parsed fields mark the same summary items as the built-in validators.
+ * Paths that select more than single keys (wildcards, indices, filters) are kept as written
+ */
+function getRuleField(rule) {
+    const segments = parseJsonPath(rule.field);
+    const simple = segments.length > 0 && segments.every(segment =>
+        segment.type === 'keys' && segment.keys.length === 1 && typeof segment.keys[0] === 'string');
+    
+    if (simple) {
+        const path = segments.map(segment => segment.keys[0]).join('.');
+        return rule.source === 'data' ? `result.data.${path}` : path;
+    }
+    
+    const path = rule.field.replace(/^\$/, '');
+    return rule.source === 'data' ? `result.data${/^[.[]/.test(path) ? '' : '.'}${path}` : path.replace(/^\.(?!\.)/, '');
+}
+
+/**
+ * Turn a rule into a ValidationNode
+ */
+export function createRuleNode(rule) {
+    return new ValidationNode({
+        id: `custom-${rule.id}`,
+        name: rule.name,
+        field: getRuleField(rule),
+        severity: rule.severity,
+        check: mod => {
+            try {
+                return evaluateRule(rule, mod);
+            } catch (error) {
+                return { message: `Rule "${rule.name}" could not run: ${error.message}`, value: null };
+            }
+        }
+    });
+}
+
+/**
+ * Add the enabled, valid rules to a registry (after the built-in validators)
+ * @param {ValidationRegistry} registry - Registry to extend
+ * @param {Array<Object>} rules - Stored rules
+ * @returns {ValidationRegistry} The same registry
+ */
+export function registerCustomRules(registry, rules) {
+    for (const rule of rules) {
+        if (rule.enabled && checkRule(rule).length === 0) {
+            registry.register(createRuleNode(rule));
+        }
+    }
+    return registry;
+}
+
+/**
+ * Read the stored rules
+ * @returns {Array<Object>} Rules, or an empty list if none are stored or storage is unavailable
+ */
+export function loadCustomRules() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        return Array.isArray(saved) ? saved.map(normalizeRule) : [];
+    } catch (error) {
+        console.warn('Failed to load custom rules:', error);
+        return [];
+    }
+}
+
+/**
+ * Store the rules
+ * @param {Array<Object>} rules - Normalized rules
+ */
+export function saveCustomRules(rules) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(rules));
+    } catch (error) {
+        console.warn('Failed to save custom rules:', error);
+    }
+}
+
+/**
+ * Read rules from exported JSON (a list of rules, or { rules: [...] })
+ * @param {string} text - JSON text
+ * @returns {Array<Object>} Normalized rules
+ * @throws {Error} If the JSON is malformed or a rule is invalid
+ */
+export function parseRulesJson(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Not valid JSON: ${error.message}`);
+    }
+    
+    const list = Array.isArray(parsed) ? parsed : parsed?.rules;
+    if (!Array.isArray(list)) {
+        throw new Error('Expected a list of rules or { "rules": [...] }');
+    }
+    
+    return list.map((entry, index) => {
+        const rule = normalizeRule(entry || {});
+        const problems = checkRule(rule);
+        if (problems.length > 0) {
+            throw new Error(`Rule ${index + 1} (${rule.name}): ${problems.join('; ')}`);
+        }
+        return rule;
+    });
+}
+
+/**
+ * Serialize rules for export
+ */
+export function exportRulesJson(rules) {
+    return JSON.stringify({ rules }, null, 2);
+}
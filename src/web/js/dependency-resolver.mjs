@@ -0,0 +1,82 @@
+// Dependency Resolver - checks the packages a mod depends on against the mods loaded in the session
+
+import { extractDependencies } from './parser.mjs';
+import { parseRange, satisfiesSemver } from './semver.mjs';
+
+/**
+ * Labels and icons for each dependency state, shared by the results summary and the graph
+ */
+export const DEPENDENCY_STATUS = {
+    resolved: { label: 'Resolved', icon: '✓' },
+    mismatch: { label: 'Version mismatch', icon: '⚠' },
+    missing: { label: 'Missing', icon: '✗' }
+};
+
+/**
+ * Find the session mod that provides a dependency
+ * @param {Object} dependency - { id, constraint, raw } from parser.extractDependencies
+ * @param {Array<Object>} mods - Session mods, newest first
+ * @param {Object} [dependent] - Mod that declares the dependency (never its own provider)
+ * @returns {Object} The dependency plus status ('resolved', 'mismatch' or 'missing'),
+ *                   provider (matching mod, or the newest one with the package for a mismatch) and message
+ */
+export function resolveDependency(dependency, mods, dependent = null) {
+    const candidates = mods.filter(mod => mod !== dependent && mod.parsed?.id === dependency.id);
+    
+    if (candidates.length === 0) {
+        return { ...dependency, status: 'missing', provider: null, message: 'Not loaded in this session' };
+    }
+    
+    const describe = mod => `${mod.parsed.name} ${mod.parsed.version}`;
+    
+    if (!dependency.constraint) {
+        return { ...dependency, status: 'resolved', provider: candidates[0], message: `Provided by ${describe(candidates[0])}` };
+    }
+    
+    if (!parseRange(dependency.constraint)) {
+        return {
+            ...dependency,
+            status: 'mismatch',
+            provider: candidates[0],
+            message: `Requirement "${dependency.constraint}" is not a valid version range`
+        };
+    }
+    
+    const provider = candidates.find(mod => satisfiesSemver(mod.parsed.version, dependency.constraint));
+    if (provider) {
+        return { ...dependency, status: 'resolved', provider, message: `Provided by ${describe(provider)}` };
+    }
+    
+    const versions = [...new Set(candidates.map(mod => mod.parsed.version))];
+    return {
+        ...dependency,
+        status: 'mismatch',
+        provider: candidates[0],
+        message: `Requires ${dependency.constraint}, found ${versions.join(', ')}`
+    };
+}
+
+/**
+ * Resolve every dependency a mod declares
+ * @param {Object} mod - Processed mod
+ * @param {Array<Object>} mods - Session mods, newest first
+ * @returns {Array<Object>} Resolved dependencies (see resolveDependency)
+ */
+export function resolveDependencies(mod, mods) {
+    if (!mod?.parsed) return [];
+    
+    return extractDependencies(mod.parsed).dependencies
+        .map(dependency => resolveDependency(dependency, mods, mod));
+}
+
+/**
+ * Count resolved dependencies by status
+ * @returns {Object} { resolved, mismatch, missing }
+ */
+export function countByStatus(dependencies) {
+    const counts = { resolved: 0, mismatch: 0, missing: 0 };
+    for (const dependency of dependencies) {
+        counts[dependency.status]++;
+    }
+    return counts;
+}
@@ -0,0 +1,187 @@
+// Diagnostics - the one parser for analyzer stderr
+// Everything that needs errors (tabs, statistics, validators, the CLI) reads the Diagnostic objects built here
+
+/**
+ * @typedef {Object} ContextFrame
+ * @property {string} text - The frame as printed, trimmed (e.g. '... in "entry.lua".')
+ * @property {string|null} file - Script the frame names
+ * @property {number} lineIndex - Index of the frame in the stderr lines
+ * @property {string} raw - The frame as printed
+ */
+
+/**
+ * @typedef {Object} Diagnostic
+ * @property {'error'|'warning'} severity - WARN: lines are warnings, everything else is an error
+ * @property {string} message - Text without the severity prefix or [line:column]
+ * @property {string|null} file - Script the error is in (null if stderr doesn't say)
+ * @property {Array<string>} includeChain - Scripts that included it, outermost first (empty for the entry script)
+ * @property {number|null} line - 1-based line, if the analyzer gave a location
+ * @property {number|null} column - 1-based column, if the analyzer gave a location
+ * @property {Array<ContextFrame>} context - Indented "..." frames and "Errors while evaluating" lines that followed it
+ *                                          (shared by every diagnostic reported before them)
+ * @property {string} raw - The diagnostic's stderr lines, including its context
+ * @property {number} lineIndex - Index of its first line in the stderr lines
+ */
+
+const SEVERITY_PREFIX = /^(ERR|WARN):\s*/;
+
+// Optional "file.lua " before the location, as in "ERR: entry.lua [24:39] ..."
+const LOCATION = /^(?:([\w\-.\/\\]+\.lua)\s+)?\[\s*(\d+)\s*:\s*(\d+)\s*\]\s*/;
+
+const CONTEXT_LINE = /^\s+\.\.\./;
+const EVALUATING_LINE = /^Errors while evaluating\s+(.+?)\.?$/;
+const QUOTED_FILE = /"([\w\-.\/\\]+\.lua)"/;
+
+// Errors with a location but no frames come from the entry script (it has nothing above it)
+const DEFAULT_FILE = 'entry.lua';
+
+function normalizePath(file) {
+    return file ? file.replace(/\\/g, '/') : null;
+}
+
+/**
+ * Parse one line that starts a diagnostic
+ */
+function parseDiagnosticLine(line, lineIndex) {
+    let text = line.trim();
+    
+    const prefix = text.match(SEVERITY_PREFIX);
+    const severity = prefix?.[1] === 'WARN' ? 'warning' : 'error';
+    if (prefix) {
+        text = text.slice(prefix[0].length);
+    }
+    
+    const location = text.match(LOCATION);
+    if (location) {
+        text = text.slice(location[0].length);
+    }
+    
+    return {
+        severity,
+        message: text.trim() || line.trim(),
+        file: normalizePath(location?.[1]),
+        includeChain: [],
+        line: location ? parseInt(location[2]) : null,
+        column: location ? parseInt(location[3]) : null,
+        context: [],
+        raw: line,
+        lineIndex
+    };
+}
+
+/**
+ * Attribute a block of diagnostics from the frames printed after it
+ * The frames are the evaluation stack, innermost first: "Errors while evaluating X." names the
+ * script that failed to load and each "... in "Y"." the script running above it, so
+ *   [1:11] ...  /  Errors while evaluating sub/b.lua.  /  ... in "a.lua".
+ * is an error in sub/b.lua, included from a.lua
+ * @param {Array<Diagnostic>} block - Diagnostics reported together
+ * @param {Array<ContextFrame>} frames - Frames that followed them
+ */
+function attributeBlock(block, frames) {
+    // Consecutive frames in the same script are one level of the stack
+    const stack = frames
+        .map(frame => frame.file)
+        .filter((file, i, files) => file && file !== files[i - 1]);
+    
+    for (const diagnostic of block) {
+        diagnostic.context = frames;
+        diagnostic.raw = [diagnostic.raw, ...frames.map(frame => frame.raw)].join('\n');
+        
+        const origin = diagnostic.file || stack[0] || (diagnostic.line !== null ? DEFAULT_FILE : null);
+        const includers = stack[0] === origin ? stack.slice(1) : stack;
+        diagnostic.file = origin;
+        diagnostic.includeChain = [...includers].reverse();
+        
+        // The stack stops at the first script with a frame, but every include starts from the entry script
+        if (stack.length > 0 && origin !== DEFAULT_FILE && diagnostic.includeChain[0] !== DEFAULT_FILE) {
+            diagnostic.includeChain.unshift(DEFAULT_FILE);
+        }
+    }
+}
+
+/**
+ * Turn analyzer stderr into diagnostics
+ * Diagnostics printed back to back share the frames after them, like several parse errors
+ * followed by one "Errors while evaluating lib.lua." - they all belong to lib.lua
+ * @param {string} stderr - Analyzer stderr
+ * @returns {Array<Diagnostic>} Diagnostics in stderr order
+ */
+export function parseDiagnostics(stderr) {
+    if (!stderr) return [];
+    
+    const diagnostics = [];
+    let block = [];
+    let frames = [];
+    
+    stderr.split('\n').forEach((line, lineIndex) => {
+        const trimmed = line.trim();
+        if (!trimmed) return;
+        
+        const evaluating = trimmed.match(EVALUATING_LINE);
+        if (CONTEXT_LINE.test(line) || evaluating) {
+            // Frames before the first diagnostic have nothing to describe
+            if (block.length > 0) {
+                const file = normalizePath(evaluating ? evaluating[1] : trimmed.match(QUOTED_FILE)?.[1]);
+                frames.push({ text: trimmed, file, lineIndex, raw: line });
+            }
+            return;
+        }
+        
+        // A diagnostic after frames starts the next block
+        if (frames.length > 0) {
+            attributeBlock(block, frames);
+            block = [];
+            frames = [];
+        }
+        
+        const diagnostic = parseDiagnosticLine(line, lineIndex);
+        diagnostics.push(diagnostic);
+        block.push(diagnostic);
+    });
+    
+    attributeBlock(block, frames);
+    
+    return diagnostics;
+}
+
+/**
+ * Describe how the analyzer got to a diagnostic, e.g. "entry.lua → a.lua → sub/b.lua:1:11"
+ * @param {Diagnostic} diagnostic - Parsed diagnostic
+ * @returns {string} Include chain ending at the diagnostic's location ('' if its file is unknown)
+ */
+export function formatTrace(diagnostic) {
+    if (!diagnostic.file) return '';
+    
+    const location = diagnostic.line !== null ? `${diagnostic.file}:${diagnostic.line}:${diagnostic.column}` : diagnostic.file;
+    return [...(diagnostic.includeChain || []), location].join(' → ');
+}
+
+/**
+ * Diagnostics of one severity
+ * @param {Array<Diagnostic>} diagnostics - Parsed diagnostics (missing on mods that never ran)
+ * @param {'error'|'warning'} severity - Severity to keep
+ */
+export function filterBySeverity(diagnostics, severity) {
+    return (diagnostics || []).filter(diagnostic => diagnostic.severity === severity);
+}
+
+/**
+ * Group the diagnostics that point at a script location by file
+ * @param {Array<Diagnostic>} diagnostics - Parsed diagnostics
+ * @returns {Map<string, Array<Diagnostic>>} file -> diagnostics with a line and column
+ */
+export function groupByFile(diagnostics) {
+    const byFile = new Map();
+    
+    for (const diagnostic of diagnostics || []) {
+        if (!diagnostic.file || diagnostic.line === null) continue;
+        
+        if (!byFile.has(diagnostic.file)) {
+            byFile.set(diagnostic.file, []);
+        }
+        byFile.get(diagnostic.file).push(diagnostic);
+    }
+    
+    return byFile;
+}
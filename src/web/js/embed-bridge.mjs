@@ -0,0 +1,123 @@
+// Embed Bridge - lets a parent page run analyses over postMessage (index.html?embed=1)
+//
+// Parent -> analyzer:  { type: 'analyze', id, fileData, fileName, options }
+// Analyzer -> parent:  { type: 'ready', version, options }
+//                      { type: 'analysis-result', id, status, summary, issues, counts }
+//                      { type: 'analysis-error', id, error }
+
+import { checkOptionValues } from './cli-options.mjs';
+
+/**
+ * Check if the page was opened in embed mode
+ */
+export function isEmbedMode() {
+    return new URLSearchParams(window.location.search).get('embed') === '1';
+}
+
+/**
+ * Shape a mod for the parent page - only plain data, nothing that needs the analyzer's code
+ * @param {Object} mod - Mod data
+ * @param {boolean} duplicate - The same file was already analyzed in this frame
+ */
+function describeMod(mod, duplicate) {
+    const { parsed = {}, validationResult } = mod;
+    
+    return {
+        status: mod.status,
+        summary: {
+            name: parsed.name,
+            id: parsed.id,
+            uuid: parsed.uuid,
+            game: parsed.game,
+            version: parsed.version,
+            category: parsed.category,
+            fileName: mod.fileName,
+            fileSize: mod.fileSize,
+            processingTime: mod.processingTime,
+            analyzerVersion: mod.result?.version || null,
+            error: mod.error || null,
+            duplicate
+        },
+        issues: (validationResult?.issues || []).map(({ nodeId, name, field, severity, message }) => ({
+            id: nodeId,
+            name,
+            field,
+            severity,
+            message
+        })),
+        counts: validationResult?.counts || { total: 0, errors: 0, warnings: 0, info: 0 }
+    };
+}
+
+export class EmbedBridge {
+    /**
+     * @param {ModAnalyzer} app - Analyzer that runs the requests
+     * @param {Array<string>} allowedOrigins - Parent origins that may send requests
+     */
+    constructor(app, allowedOrigins) {
+        this.app = app;
+        this.allowedOrigins = allowedOrigins;
+        this.handleMessage = this.handleMessage.bind(this);
+    }
+    
+    /**
+     * Start listening and tell the parent the analyzer is ready
+     */
+    start() {
+        window.addEventListener('message', this.handleMessage);
+        
+        if (this.allowedOrigins.length === 0) {
+            console.warn('Embed mode: no allowed origins configured (EMBED_ALLOWED_ORIGINS), requests will be ignored');
+        }
+        
+        // The parent's origin isn't known until it sends something, so announce to each allowed one
+        const ready = { type: 'ready', version: this.app.currentVersion, options: this.app.analyzerOptions };
+        for (const origin of this.allowedOrigins) {
+            window.parent.postMessage(ready, origin);
+        }
+    }
+    
+    stop() {
+        window.removeEventListener('message', this.handleMessage);
+    }
+    
+    async handleMessage(event) {
+        // Only the embedding page, and only from an allowed origin
+        if (event.source !== window.parent || !this.allowedOrigins.includes(event.origin)) {
+            return;
+        }
+        
+        const { type, id = null } = event.data || {};
+        if (type !== 'analyze') return;
+        
+        const reply = (message) => event.source.postMessage({ ...message, id }, event.origin);
+        
+        try {
+            const { modData, duplicate } = await this.analyze(event.data);
+            reply({ type: 'analysis-result', ...describeMod(modData, duplicate) });
+        } catch (error) {
+            reply({ type: 'analysis-error', error: error.message });
+        }
+    }
+    
+    /**
+     * Run one request through the normal pipeline (ModAnalyzer.processFile)
+     * @param {Object} request - { fileData, fileName, options }
+     * @returns {Promise<{modData: Object, duplicate: boolean}>}
+     */
+    async analyze({ fileData, fileName = 'upload.zip', options = null }) {
+        if (!fileData) {
+            throw new Error('fileData is required (ArrayBuffer, typed array or Blob)');
+        }
+        
+        if (options) {
+            const errors = checkOptionValues(this.app.analyzerOptions, options);
+            if (errors.length > 0) {
+                throw new Error(errors.join('; '));
+            }
+        }
+        
+        const file = fileData instanceof File ? fileData : new File([fileData], fileName);
+        return this.app.analyzeFile(file, { sourcePath: fileName, analyzerOptions: options });
+    }
+}
@@ -0,0 +1,234 @@
+// File Discovery - finds mod packages in dropped files, folders and nested archives
+// JSZip is loaded globally from vendor/jszip.min.js
+
+// Zips inside zips are followed this many levels deep
+const MAX_ARCHIVE_DEPTH = 3;
+
+// Every mod package has one of these at its root
+const ENTRY_SCRIPT = 'entry.lua';
+
+/**
+ * Check if a file name looks like a zip archive
+ * @param {string} name - File name or path
+ * @returns {boolean}
+ */
+export function isZipFile(name) {
+    return name.toLowerCase().endsWith('.zip');
+}
+
+/**
+ * Check if a path inside a mod folder is hidden (.git, .vscode) and so not part of the mod
+ * @param {string} relativePath - Path relative to the mod folder
+ * @returns {boolean}
+ */
+export function isHiddenPath(relativePath) {
+    return relativePath.split('/').some(part => part.startsWith('.'));
+}
+
+/**
+ * Make sure a folder handle can be read, asking the user if needed
+ * Handles restored from a saved session start without permission; asking needs a user gesture
+ * @param {FileSystemHandle} handle - Folder or file handle
+ */
+export async function ensureReadPermission(handle) {
+    if (!handle.queryPermission || await handle.queryPermission({ mode: 'read' }) === 'granted') return;
+    
+    if (await handle.requestPermission({ mode: 'read' }) !== 'granted') {
+        throw new Error(`Permission to read ${handle.name} was denied`);
+    }
+}
+
+/**
+ * Collect files from a drop, walking into dropped folders
+ * Must be called from the drop handler itself - DataTransfer items are cleared once it returns
+ * @param {DataTransfer} dataTransfer - Drop event data
+ * @returns {Promise<Array<{file: File, path: string}>>} Files with their path inside the drop
+ */
+export async function collectDroppedFiles(dataTransfer) {
+    // Grab every entry before the first await, while the items are still readable
+    const sources = Array.from(dataTransfer.items || [])
+        .filter(item => item.kind === 'file')
+        .map(item => item.webkitGetAsEntry?.() || item.getAsFileSystemHandle?.() || item.getAsFile())
+        .filter(Boolean);
+    
+    if (sources.length === 0) {
+        return Array.from(dataTransfer.files || [], file => ({ file, path: file.name }));
+    }
+    
+    const files = [];
+    for (const source of sources) {
+        const resolved = await source;
+        if (!resolved) continue;
+        
+        if (resolved instanceof File) {
+            files.push({ file: resolved, path: resolved.name });
+        } else if ('kind' in resolved) {
+            files.push(...await walkFileSystemHandle(resolved));
+        } else {
+            files.push(...await walkEntry(resolved, resolved.name));
+        }
+    }
+    
+    return files;
+}
+
+/**
+ * Recursively list the files under a drag-and-drop entry (webkitGetAsEntry)
+ */
+async function walkEntry(entry, path) {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        return [{ file, path }];
+    }
+    
+    // readEntries hands out results in batches and returns an empty batch at the end
+    const reader = entry.createReader();
+    const children = [];
+    let batch;
+    do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        children.push(...batch);
+    } while (batch.length > 0);
+    
+    const files = [];
+    for (const child of children) {
+        files.push(...await walkEntry(child, `${path}/${child.name}`));
+    }
+    return files;
+}
+
+/**
+ * Recursively list the files under a File System Access handle
+ * @param {FileSystemHandle} handle - File or directory handle
+ * @param {string} [path] - Path to report for the handle itself
+ * @returns {Promise<Array<{file: File, path: string}>>} Files with their path below the handle
+ */
+export async function walkFileSystemHandle(handle, path = handle.name) {
+    if (handle.kind === 'file') {
+        return [{ file: await handle.getFile(), path }];
+    }
+    
+    const files = [];
+    for await (const child of handle.values()) {
+        files.push(...await walkFileSystemHandle(child, `${path}/${child.name}`));
+    }
+    return files;
+}
+
+/**
+ * Check if a folder's files are a loose (unzipped) mod package
+ * @param {Array<{file: File, path: string}>} files - Folder contents, paths starting with the folder name
+ * @param {string} folderName - Name of the folder
+ * @returns {boolean} True if the folder has an entry.lua at its root
+ */
+export function isModFolder(files, folderName) {
+    return files.some(({ path }) => path === `${folderName}/${ENTRY_SCRIPT}`);
+}
+
+/**
+ * Build an in-memory zip from the files of a loose mod folder
+ * @param {Array<{file: File, path: string}>} files - Folder contents, paths starting with the folder name
+ * @param {string} folderName - Name of the folder (becomes the zip name)
+ * @returns {Promise<File>} Zip with the folder contents at its root
+ */
+export async function zipFolder(files, folderName) {
+    const zip = new JSZip();
+    const prefix = `${folderName}/`;
+    
+    for (const { file, path } of files) {
+        const relativePath = path.startsWith(prefix) ? path.slice(prefix.length) : path;
+        
+        if (isHiddenPath(relativePath)) continue;
+        
+        zip.file(relativePath, await file.arrayBuffer(), { date: new Date(file.lastModified) });
+    }
+    
+    const data = await zip.generateAsync({ type: 'arraybuffer', compression: 'DEFLATE' });
+    return new File([data], `${folderName}.zip`, { type: 'application/zip' });
+}
+
+/**
+ * Turn discovered zip files into mod packages ready to analyze
+ * Zips holding other zips are opened, zips holding several mods are split into one zip per mod
+ * @param {Array<{file: File, path: string}>} files - Discovered files (non-zips are ignored)
+ * @returns {Promise<Array<{file: File, path: string}>>} One entry per mod package
+ */
+export async function findModPackages(files) {
+    const packages = [];
+    
+    for (const { file, path } of files) {
+        if (isZipFile(file.name)) {
+            packages.push(...await expandArchive(file, path, 0));
+        }
+    }
+    
+    return packages;
+}
+
+/**
+ * Find the mod packages inside one archive
+ */
+async function expandArchive(file, path, depth) {
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(await file.arrayBuffer());
+    } catch (error) {
+        // Let the analyzer report the broken archive like any other failure
+        return [{ file, path }];
+    }
+    
+    const names = Object.keys(zip.files).filter(name => !zip.files[name].dir);
+    const entryDirs = names.filter(name => baseName(name) === ENTRY_SCRIPT).map(dirName);
+    
+    // A package at the root (or a single package anywhere) is analyzed as it is
+    if (entryDirs.length === 1 || entryDirs.includes('')) {
+        return [{ file, path }];
+    }
+    
+    if (entryDirs.length > 1) {
+        return Promise.all(entryDirs.map(async dir => ({
+            file: await repackDirectory(zip, dir),
+            path: `${path}/${dir.replace(/\/$/, '')}`
+        })));
+    }
+    
+    const nested = names.filter(isZipFile);
+    if (nested.length === 0 || depth >= MAX_ARCHIVE_DEPTH) {
+        return [{ file, path }];
+    }
+    
+    const packages = [];
+    for (const name of nested) {
+        const data = await zip.file(name).async('arraybuffer');
+        const inner = new File([data], baseName(name), { type: 'application/zip' });
+        packages.push(...await expandArchive(inner, `${path}/${name}`, depth + 1));
+    }
+    return packages;
+}
+
+/**
+ * Build a standalone zip from one directory of an archive
+ * Entry dates are kept so the same input always produces the same bytes (and content hash)
+ */
+async function repackDirectory(zip, dir) {
+    const packageZip = new JSZip();
+    
+    for (const [name, entry] of Object.entries(zip.files)) {
+        if (entry.dir || !name.startsWith(dir)) continue;
+        packageZip.file(name.slice(dir.length), await entry.async('uint8array'), { date: entry.date });
+    }
+    
+    const data = await packageZip.generateAsync({ type: 'arraybuffer', compression: 'DEFLATE' });
+    return new File([data], `${baseName(dir.replace(/\/$/, ''))}.zip`, { type: 'application/zip' });
+}
+
+function baseName(path) {
+    return path.slice(path.lastIndexOf('/') + 1);
+}
+
+/**
+ * Directory part of a zip entry name, with a trailing slash ('' for the root)
+ */
+function dirName(path) {
+    return path.slice(0, path.lastIndexOf('/') + 1);
+}
@@ -0,0 +1,107 @@
+// Folder Watcher - polls mod folders for changes so they can be re-analyzed automatically
+
+import { walkFileSystemHandle, isHiddenPath } from './file-discovery.mjs';
+
+// How often watched folders are checked (File System Access has no change events)
+const POLL_INTERVAL = 1500;
+
+/**
+ * Fingerprint a folder from its file paths, sizes and modification times
+ * Only metadata is read, file contents are left alone until something changed
+ * @param {FileSystemDirectoryHandle} handle - Folder to fingerprint
+ * @returns {Promise<string>} Fingerprint that changes whenever a file is added, removed or edited
+ */
+async function fingerprintFolder(handle) {
+    const files = await walkFileSystemHandle(handle, '');
+    
+    return files
+        .filter(({ path }) => !isHiddenPath(path.slice(1)))
+        .map(({ file, path }) => `${path}:${file.size}:${file.lastModified}`)
+        .sort()
+        .join('\n');
+}
+
+export class FolderWatcher {
+    constructor(interval = POLL_INTERVAL) {
+        this.interval = interval;
+        this.watches = new Map(); // key -> { handle, onChange, onError, fingerprint, timer }
+    }
+    
+    /**
+     * Start polling a folder
+     * @param {*} key - Identifies the watch (e.g. a mod id)
+     * @param {FileSystemDirectoryHandle} handle - Folder to poll
+     * @param {Object} callbacks
+     * @param {Function} callbacks.onChange - Called when the folder changed; awaited before the next poll
+     * @param {Function} [callbacks.onError] - Called if the folder can no longer be read (the watch is stopped)
+     */
+    async watch(key, handle, { onChange, onError = null }) {
+        this.unwatch(key);
+        
+        const watch = { handle, onChange, onError, fingerprint: null, timer: null };
+        this.watches.set(key, watch);
+        
+        try {
+            watch.fingerprint = await fingerprintFolder(handle);
+        } catch (error) {
+            this.fail(key, watch, error);
+            return;
+        }
+        
+        this.schedule(key, watch);
+    }
+    
+    schedule(key, watch) {
+        // Stopped (or replaced) while the last poll was running
+        if (this.watches.get(key) !== watch) return;
+        
+        watch.timer = setTimeout(() => this.poll(key, watch), this.interval);
+    }
+    
+    async poll(key, watch) {
+        try {
+            const fingerprint = await fingerprintFolder(watch.handle);
+            
+            if (fingerprint !== watch.fingerprint && this.watches.get(key) === watch) {
+                watch.fingerprint = fingerprint;
+                // Waiting here means a slow analysis never overlaps the next one
+                await watch.onChange();
+            }
+        } catch (error) {
+            this.fail(key, watch, error);
+            return;
+        }
+        
+        this.schedule(key, watch);
+    }
+    
+    fail(key, watch, error) {
+        console.warn(`Stopped watching ${watch.handle.name}:`, error);
+        if (this.watches.get(key) === watch) {
+            this.unwatch(key);
+            watch.onError?.(error);
+        }
+    }
+    
+    /**
+     * Stop polling a folder
+     * @param {*} key - Key the folder was watched with
+     */
+    unwatch(key) {
+        const watch = this.watches.get(key);
+        if (watch) {
+            clearTimeout(watch.timer);
+            this.watches.delete(key);
+        }
+    }
+    
+    isWatching(key) {
+        return this.watches.has(key);
+    }
+    
+    unwatchAll() {
+        for (const key of [...this.watches.keys()]) {
+            this.unwatch(key);
+        }
+    }
+}
@@ -0,0 +1,369 @@
+// JSON Query - JSONPath expressions over analysis results
+// Supports $, .key, ['key'], [0], [-1], [1:3], [*], .*, ..key, [a,b] and filters like [?(@.damage > 100)]
+// The leading $ is optional, so "data.resources.incs[*]" works as well as "$.data.resources.incs[*]"
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Format one path step the way it is written in a query: .key, ['odd key'] or [0]
+ */
+export function formatPathSegment(key) {
+    if (typeof key === 'number') return `[${key}]`;
+    if (IDENTIFIER.test(key)) return `.${key}`;
+    return `['${key.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}']`;
+}
+
+/**
+ * Format a path as a query that selects exactly that value, e.g. $.data.resources.incs[0]
+ * @param {Array<string|number>} segments - Keys and array indices from the root
+ */
+export function formatPath(segments) {
+    return '$' + segments.map(formatPathSegment).join('');
+}
+
+/**
+ * Character-level reader shared by the path and filter parsers
+ */
+class Reader {
+    constructor(text) {
+        this.text = text;
+        this.index = 0;
+    }
+    
+    skipSpace() {
+        while (/\s/.test(this.text[this.index] || '')) this.index++;
+    }
+    
+    peek(token) {
+        return this.text.startsWith(token, this.index);
+    }
+    
+    accept(token) {
+        if (!this.peek(token)) return false;
+        this.index += token.length;
+        return true;
+    }
+    
+    expect(token) {
+        if (!this.accept(token)) this.fail(`expected "${token}"`);
+    }
+    
+    match(pattern) {
+        const match = this.text.slice(this.index).match(pattern);
+        if (!match) return null;
+        this.index += match[0].length;
+        return match;
+    }
+    
+    done() {
+        return this.index >= this.text.length;
+    }
+    
+    fail(problem) {
+        const found = this.done() ? 'end of query' : `"${this.text[this.index]}"`;
+        throw new Error(`Invalid query at position ${this.index + 1}: ${problem}, found ${found}`);
+    }
+}
+
+function readString(reader) {
+    const match = reader.match(/^(['"])((?:\\.|(?!\1)[^\\])*)\1/);
+    if (!match) return null;
+    return match[2].replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Read the inside of [...]: *, indices, slices, quoted keys or a filter
+ */
+function readBracket(reader) {
+    reader.skipSpace();
+    
+    if (reader.accept('*')) {
+        reader.skipSpace();
+        reader.expect(']');
+        return { type: 'wildcard' };
+    }
+    
+    if (reader.accept('?')) {
+        reader.skipSpace();
+        reader.expect('(');
+        const filter = readOr(reader);
+        reader.skipSpace();
+        reader.expect(')');
+        reader.skipSpace();
+        reader.expect(']');
+        return { type: 'filter', filter };
+    }
+    
+    const slice = reader.match(/^(-?\d+)?\s*:\s*(-?\d+)?(?:\s*:\s*(-?\d+))?\s*\]/);
+    if (slice) {
+        const [start, end, step] = slice.slice(1).map(part => part === undefined ? null : Number(part));
+        if (step === 0) reader.fail('slice step can\'t be 0');
+        return { type: 'slice', start, end, step: step ?? 1 };
+    }
+    
+    const keys = [];
+    do {
+        reader.skipSpace();
+        const number = reader.match(/^-?\d+/);
+        const key = number ? Number(number[0]) : readString(reader);
+        if (key === null) reader.fail('expected an index, a quoted key, *, a slice or a ?() filter');
+        keys.push(key);
+        reader.skipSpace();
+    } while (reader.accept(','));
+    reader.expect(']');
+    
+    return { type: 'keys', keys };
+}
+
+/**
+ * Read path steps until something that can't continue a path
+ * @param {boolean} relative - Reading a filter operand (@.x), which stops at operators instead of failing
+ */
+function readSegments(reader, relative) {
+    const segments = [];
+    
+    while (!reader.done()) {
+        if (reader.accept('..')) {
+            const name = reader.match(/^[A-Za-z_$][\w$-]*/);
+            if (name) {
+                segments.push({ type: 'descendants', then: { type: 'keys', keys: [name[0]] } });
+            } else if (reader.accept('*')) {
+                segments.push({ type: 'descendants', then: { type: 'wildcard' } });
+            } else if (reader.accept('[')) {
+                segments.push({ type: 'descendants', then: readBracket(reader) });
+            } else {
+                reader.fail('expected a key, * or [ after ".."');
+            }
+        } else if (reader.accept('.')) {
+            const name = reader.match(/^[A-Za-z_$][\w$-]*/);
+            if (name) {
+                segments.push({ type: 'keys', keys: [name[0]] });
+            } else if (reader.accept('*')) {
+                segments.push({ type: 'wildcard' });
+            } else {
+                reader.fail('expected a key or * after "."');
+            }
+        } else if (reader.accept('[')) {
+            segments.push(readBracket(reader));
+        } else if (relative) {
+            break;
+        } else {
+            reader.fail('expected ".", ".." or "["');
+        }
+    }
+    
+    return segments;
+}
+
+// Filter expressions: || and && over comparisons of @-paths and literals
+
+const COMPARISON = /^(==|!=|<=|>=|<|>)/;
+
+function readOr(reader) {
+    const terms = [readAnd(reader)];
+    reader.skipSpace();
+    while (reader.accept('||')) {
+        terms.push(readAnd(reader));
+        reader.skipSpace();
+    }
+    return terms.length === 1 ? terms[0] : { type: 'or', terms };
+}
+
+function readAnd(reader) {
+    const terms = [readUnary(reader)];
+    reader.skipSpace();
+    while (reader.accept('&&')) {
+        terms.push(readUnary(reader));
+        reader.skipSpace();
+    }
+    return terms.length === 1 ? terms[0] : { type: 'and', terms };
+}
+
+function readUnary(reader) {
+    reader.skipSpace();
+    if (reader.accept('!')) {
+        return { type: 'not', term: readUnary(reader) };
+    }
+    if (reader.accept('(')) {
+        const inner = readOr(reader);
+        reader.skipSpace();
+        reader.expect(')');
+        return inner;
+    }
+    
+    const left = readOperand(reader);
+    reader.skipSpace();
+    const operator = reader.match(COMPARISON);
+    if (!operator) {
+        // A bare @-path tests that the value exists
+        if (left.type !== 'path') reader.fail('expected a comparison');
+        return { type: 'exists', operand: left };
+    }
+    
+    reader.skipSpace();
+    return { type: 'compare', operator: operator[0], left, right: readOperand(reader) };
+}
+
+function readOperand(reader) {
+    if (reader.accept('@')) {
+        return { type: 'path', segments: readSegments(reader, true) };
+    }
+    
+    const string = readString(reader);
+    if (string !== null) return { type: 'literal', value: string };
+    
+    const number = reader.match(/^-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/);
+    if (number) return { type: 'literal', value: Number(number[0]) };
+    
+    const keyword = reader.match(/^(true|false|null)\b/);
+    if (keyword) return { type: 'literal', value: JSON.parse(keyword[0]) };
+    
+    reader.fail('expected @, a string, a number, true, false or null');
+}
+
+/**
+ * Parse a query into path steps
+ * @param {string} expression - Query such as "$..[?(@.damage > 100)]"
+ * @returns {Array<Object>} Steps for evaluatePath
+ * @throws {Error} Where and why the query is invalid
+ */
+export function parseJsonPath(expression) {
+    const reader = new Reader(expression.trim());
+    const segments = [];
+    
+    // "$" is optional; a query can also start with a bare key ("data.resources")
+    if (!reader.accept('$')) {
+        const name = reader.match(/^[A-Za-z_][\w$-]*/);
+        if (name) segments.push({ type: 'keys', keys: [name[0]] });
+    }
+    
+    return [...segments, ...readSegments(reader, false)];
+}
+
+// Evaluation works on nodes: { path: [keys...], value }
+
+function children(node) {
+    const { path, value } = node;
+    if (Array.isArray(value)) {
+        return value.map((item, index) => ({ path: [...path, index], value: item }));
+    }
+    if (value !== null && typeof value === 'object') {
+        return Object.entries(value).map(([key, item]) => ({ path: [...path, key], value: item }));
+    }
+    return [];
+}
+
+function descendants(node) {
+    const nodes = [node];
+    for (const child of children(node)) {
+        nodes.push(...descendants(child));
+    }
+    return nodes;
+}
+
+function selectKeys(node, keys) {
+    const { path, value } = node;
+    const selected = [];
+    
+    for (const key of keys) {
+        if (Array.isArray(value) && typeof key === 'number') {
+            const index = key < 0 ? value.length + key : key;
+            if (index >= 0 && index < value.length) {
+                selected.push({ path: [...path, index], value: value[index] });
+            }
+        } else if (value !== null && typeof value === 'object' && !Array.isArray(value) && Object.hasOwn(value, String(key))) {
+            selected.push({ path: [...path, String(key)], value: value[key] });
+        }
+    }
+    
+    return selected;
+}
+
+function selectSlice(node, { start, end, step }) {
+    if (!Array.isArray(node.value)) return [];
+    
+    const length = node.value.length;
+    const clamp = (index, fallback) => {
+        if (index === null) return fallback;
+        return Math.min(Math.max(index < 0 ? length + index : index, step > 0 ? 0 : -1), length);
+    };
+    
+    const indices = [];
+    if (step > 0) {
+        for (let i = clamp(start, 0); i < clamp(end, length); i += step) indices.push(i);
+    } else {
+        for (let i = clamp(start, length - 1); i > clamp(end, -1); i += step) indices.push(i);
+    }
+    
+    return indices.map(index => ({ path: [...node.path, index], value: node.value[index] }));
+}
+
+function evaluateOperand(operand, node) {
+    if (operand.type === 'literal') return operand.value;
+    const [first] = evaluatePath(operand.segments, [node]);
+    return first?.value;
+}
+
+function evaluateFilter(filter, node) {
+    switch (filter.type) {
+        case 'or':
+            return filter.terms.some(term => evaluateFilter(term, node));
+        case 'and':
+            return filter.terms.every(term => evaluateFilter(term, node));
+        case 'not':
+            return !evaluateFilter(filter.term, node);
+        case 'exists':
+            return evaluatePath(filter.operand.segments, [node]).length > 0;
+        case 'compare': {
+            const left = evaluateOperand(filter.left, node);
+            const right = evaluateOperand(filter.right, node);
+            
+            if (filter.operator === '==') return left === right;
+            if (filter.operator === '!=') return left !== right;
+            
+            // Ordering only makes sense between two numbers or two strings
+            if (typeof left !== typeof right || !['number', 'string'].includes(typeof left)) return false;
+            if (filter.operator === '<') return left < right;
+            if (filter.operator === '<=') return left <= right;
+            if (filter.operator === '>') return left > right;
+            return left >= right;
+        }
+    }
+}
+
+function applySegment(segment, node) {
+    switch (segment.type) {
+        case 'keys':
+            return selectKeys(node, segment.keys);
+        case 'wildcard':
+            return children(node);
+        case 'slice':
+            return selectSlice(node, segment);
+        case 'filter':
+            return children(node).filter(child => evaluateFilter(segment.filter, child));
+        case 'descendants':
+            return descendants(node).flatMap(descendant => applySegment(segment.then, descendant));
+    }
+}
+
+function evaluatePath(segments, nodes) {
+    return segments.reduce((current, segment) => current.flatMap(node => applySegment(segment, node)), nodes);
+}
+
+/**
+ * Run a query against JSON data
+ * @param {*} data - Root value ($)
+ * @param {string} expression - Query, e.g. "data.resources.incs[*]" or "..[?(@.damage > 100)]"
+ * @returns {Array<{path: string, segments: Array<string|number>, value: *}>} Matches in document order,
+ *          each value once
+ * @throws {Error} If the query is invalid
+ */
+export function queryJson(data, expression) {
+    const matches = evaluatePath(parseJsonPath(expression), [{ path: [], value: data }]);
+    
+    // Recursive descent can reach the same value more than once
+    const seen = new Set();
+    return matches
+        .map(({ path, value }) => ({ path: formatPath(path), segments: path, value }))
+        .filter(match => !seen.has(match.path) && seen.add(match.path));
+}
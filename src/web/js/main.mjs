@@ -1,37 +1,88 @@
 // Main application entry point
 
 import * as parser from './parser.mjs';
-import { ErrorManager } from './tabs/error-manager.mjs';
+import * as core from './analysis-core.mjs';
 import { createDefaultRegistry } from './validation.mjs';
+import { loadCustomRules, saveCustomRules, registerCustomRules } from './custom-rules.mjs';
+import { loadCustomProfiles, saveCustomProfiles, findProfile, getProfiles } from './validation-profiles.mjs';
+import { SessionStore } from './session-store.mjs';
+import { WorkerPool } from './worker-pool.mjs';
+import { loadPreferences, setPreference } from './preferences.mjs';
+import { coerceOptionValue, resolveOptionValues } from './cli-options.mjs';
 import ResultsTab from './tabs/results-tab.mjs';
 import FileBrowserTab from './tabs/file-browser-tab.mjs';
 import StatisticsTab from './tabs/statistics-tab.mjs';
 import DependenciesTab from './tabs/dependencies-tab.mjs';
+import CompareTab from './tabs/compare-tab.mjs';
+import RulesTab from './tabs/rules-tab.mjs';
 import { addClass, removeClass, toggleClass } from './utils/dom-helpers.mjs';
-import { createElement } from './utils/html-utils.mjs';
+import { createElement, escapeHtml, escapeXml } from './utils/html-utils.mjs';
+import { formatBytes, formatTimestamp } from './utils/format-utils.mjs';
+import { MAX_MOD_RUNS, EMBED_ALLOWED_ORIGINS } from './constants.mjs';
+import { hashContent, groupRevisions, findVersionConflicts } from './mod-identity.mjs';
+import {
+    collectDroppedFiles,
+    findModPackages,
+    isZipFile,
+    isModFolder,
+    zipFolder,
+    walkFileSystemHandle,
+    ensureReadPermission
+} from './file-discovery.mjs';
+import { FolderWatcher } from './folder-watcher.mjs';
+import { getCachedVersions, getOfflineVersions, downloadVersion, removeVersion } from './wasm-cache.mjs';
+import { registerServiceWorker, watchConnectivity } from './offline.mjs';
+import { EmbedBridge, isEmbedMode } from './embed-bridge.mjs';
+import { getRemoteSources, getUrlFileName, fetchManifest, downloadZip } from './remote-loader.mjs';
 
 class ModAnalyzer {
     constructor() {
-        this.worker = null;
+        this.workerPool = new WorkerPool();
         this.workerReady = false;
+        this.embedded = isEmbedMode(); // index.html?embed=1 - driven by a parent page over postMessage
         this.currentVersion = 'latest';
+        this.versions = ['latest']; // Available analyzer versions, newest first
+        this.analyzerOptions = []; // Options reported by the loaded analyzer version
         this.processedMods = [];
         this.currentModIndex = -1;
-        this.processingQueue = [];
-        this.isProcessing = false;
+        
+        // Batch processing - results are buffered so they are inserted in drop order
+        this.nextJobSequence = 0;
+        this.nextInsertSequence = 0;
+        this.completedJobs = new Map();
+        this.insertChain = Promise.resolve();
+        this.batchProgress = { done: 0, queued: 0, failed: 0, cancelled: 0, duplicates: 0 };
+        this.batchProgressTimer = null;
+        this.runningJobs = new Map(); // sequence (or mod id when re-analyzing) -> { fileName, modId, controller }
+        this.reanalyzingIds = new Set(); // Mods with a re-analysis queued or running
+        this.folderWatcher = new FolderWatcher(); // Polls mod folders in watch mode
+        this.hashesInFlight = new Map(); // content hash -> mod id for files not yet in the list
+        this.duplicateNotices = []; // { fileName, modId } for dropped files that were already analyzed
+        this.liveLogs = new Map(); // mod id -> { modId, fileName, lines, running } while the analyzer runs
+        this.online = navigator.onLine;
+        this.offlineVersions = new Set(); // Versions with every file saved for offline use
         
         // Performance optimization flags
         this.renderDebounceTimer = null;
         
-        // Validation registry
-        this.validationRegistry = createDefaultRegistry();
+        // Validation registry (built-in validators, then the user's custom rules, graded by the active profile)
+        this.customRules = loadCustomRules();
+        this.customProfiles = loadCustomProfiles();
+        this.validationProfile = findProfile(loadPreferences().validationProfile, this.customProfiles);
+        this.validationRegistry = this.createValidationRegistry();
+        
+        // Session persistence (IndexedDB)
+        this.sessionStore = new SessionStore();
+        this.pendingSession = null; // Saved session waiting for the user to restore or discard it
         
         // Tab modules
         this.tabs = {
-            results: new ResultsTab(),
+            results: new ResultsTab(this),
             files: new FileBrowserTab(),
             statistics: new StatisticsTab(),
-            dependencies: new DependenciesTab(this) // Pass app reference
+            dependencies: new DependenciesTab(this), // Pass app reference
+            compare: new CompareTab(this),
+            rules: new RulesTab(this)
         };
         
         this.init();
@@ -42,19 +93,44 @@ class ModAnalyzer {
         this.elements = {
             dropZone: document.getElementById('drop-zone'),
             fileInput: document.getElementById('file-input'),
+            openFolder: document.getElementById('open-folder'),
+            folderInput: document.getElementById('folder-input'),
             mainContent: document.getElementById('main-content'),
             modList: document.getElementById('mod-list'),
             modFilter: document.getElementById('mod-filter'),
             clearHistory: document.getElementById('clear-history'),
+            reanalyzeAll: document.getElementById('reanalyze-all'),
+            runHistory: document.getElementById('run-history'),
             versionSelect: document.getElementById('version-select'),
+            versionOffline: document.getElementById('version-offline'),
+            offlineStatus: document.getElementById('offline-status'),
+            timeoutInput: document.getElementById('timeout-input'),
+            profileSelect: document.getElementById('profile-select'),
             loadingOverlay: document.getElementById('loading-overlay'),
             loadingText: document.getElementById('loading-text'),
+            batchProgress: document.getElementById('batch-progress'),
+            batchProgressText: document.getElementById('batch-progress-text'),
+            batchProgressFill: document.getElementById('batch-progress-fill'),
+            batchProgressJobs: document.getElementById('batch-progress-jobs'),
+            duplicateNotice: document.getElementById('duplicate-notice'),
+            duplicateNoticeList: document.getElementById('duplicate-notice-list'),
+            dismissDuplicates: document.getElementById('dismiss-duplicates'),
+            restorePrompt: document.getElementById('restore-prompt'),
+            restorePromptText: document.getElementById('restore-prompt-text'),
+            restoreSession: document.getElementById('restore-session'),
+            discardSession: document.getElementById('discard-session'),
+            analyzerOptionsVersion: document.getElementById('analyzer-options-version'),
+            analyzerOptionsControls: document.getElementById('analyzer-options-controls'),
+            analyzerOptionsReset: document.getElementById('analyzer-options-reset'),
             tabButtons: document.querySelectorAll('.tab'),
             tabContents: document.querySelectorAll('.tab-content'),
             subTabButtons: document.querySelectorAll('.sub-tab'),
             subTabContents: document.querySelectorAll('.sub-tab-content')
         };
         
+        // Embed mode only shows the results - the upload chrome and mod list are hidden
+        toggleClass(document.body, 'embed', this.embedded);
+        
         // Set up event listeners
         this.setupEventListeners();
         
@@ -72,11 +148,30 @@ class ModAnalyzer {
             await this.tabs.files.setVersion(this.currentVersion);
         }
         
+        // Compare tab lets the user pick any two versions
+        this.tabs.compare.setVersions(this.versions);
+        
         // Initialize worker
         await this.initWorker();
         
+        // Cache the app for offline use once everything it needs has been loaded
+        registerServiceWorker();
+        
+        // Embedded analyzers are driven by the parent page and keep no session of their own
+        if (this.embedded) {
+            this.embedBridge = new EmbedBridge(this, EMBED_ALLOWED_ORIGINS);
+            this.embedBridge.start();
+            return;
+        }
+        
         // Load saved state
-        this.loadState();
+        await this.loadState();
+        
+        // Mods linked from the URL (?mod=, ?manifest=) are downloaded straight into the queue
+        this.loadRemoteMods().catch(error => {
+            console.error('Failed to load linked mods:', error);
+            alert(`Failed to load linked mods: ${error.message}`);
+        });
     }
     
     setupEventListeners() {
@@ -89,6 +184,19 @@ class ModAnalyzer {
             this.handleFiles(e.target.files);
         });
         
+        // Folder picker (File System Access, with a webkitdirectory input as fallback)
+        this.elements.openFolder.addEventListener('click', () => {
+            this.openFolder();
+        });
+        
+        this.elements.folderInput.addEventListener('change', (e) => {
+            const files = Array.from(e.target.files, file => ({ file, path: file.webkitRelativePath }));
+            e.target.value = '';
+            if (files.length > 0) {
+                this.handleFolder(files[0].path.split('/')[0], files, null);
+            }
+        });
+        
         // Drag and drop
         this.elements.dropZone.addEventListener('dragover', (e) => {
             e.preventDefault();
@@ -102,7 +210,10 @@ class ModAnalyzer {
         this.elements.dropZone.addEventListener('drop', (e) => {
             e.preventDefault();
             removeClass(this.elements.dropZone, 'drag-over');
-            this.handleFiles(e.dataTransfer.files);
+            // Folders are walked recursively - this has to start inside the event handler
+            collectDroppedFiles(e.dataTransfer)
+                .then(files => this.handleDrop(files))
+                .catch(error => alert('Failed to read dropped files: ' + error.message));
         });
         
         // Mod filter
@@ -117,11 +228,99 @@ class ModAnalyzer {
             }
         });
         
+        // Re-analyze every stored mod with the current version and options
+        this.elements.reanalyzeAll.addEventListener('click', () => {
+            this.reanalyzeAll();
+        });
+        
+        // Step through earlier runs of the selected mod
+        this.elements.runHistory.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-run]');
+            if (button) {
+                this.showRun(Number(button.dataset.run));
+            }
+        });
+        
+        // Duplicate notice - links jump to the existing entry
+        this.elements.duplicateNoticeList.addEventListener('click', (e) => {
+            const link = e.target.closest('.duplicate-notice-link');
+            if (link) {
+                e.preventDefault();
+                this.showDuplicate(Number(link.dataset.notice));
+            }
+        });
+        
+        this.elements.dismissDuplicates.addEventListener('click', () => {
+            this.duplicateNotices = [];
+            this.renderDuplicateNotices();
+        });
+        
+        // Restore prompt
+        this.elements.restoreSession.addEventListener('click', () => {
+            this.restoreSession();
+        });
+        
+        this.elements.discardSession.addEventListener('click', () => {
+            this.discardSession();
+        });
+        
         // Version selector
         this.elements.versionSelect.addEventListener('change', (e) => {
             this.switchVersion(e.target.value);
         });
         
+        this.elements.versionOffline.addEventListener('click', () => {
+            this.toggleVersionOffline(this.elements.versionSelect.value);
+        });
+        
+        watchConnectivity((online) => {
+            this.online = online;
+            this.renderVersionCacheStatus();
+        });
+        
+        // Worker timeout (shown in seconds, stored in milliseconds)
+        this.elements.timeoutInput.value = loadPreferences().workerTimeout / 1000;
+        this.elements.timeoutInput.addEventListener('change', (e) => {
+            const seconds = parseFloat(e.target.value);
+            if (seconds > 0) {
+                setPreference('workerTimeout', Math.round(seconds * 1000));
+            } else {
+                e.target.value = loadPreferences().workerTimeout / 1000;
+            }
+        });
+        
+        // Validation profile
+        this.renderProfileSelect();
+        this.elements.profileSelect.addEventListener('change', (e) => {
+            this.setValidationProfile(e.target.value);
+        });
+        
+        // Analyzer options - invalid values are flagged and not saved
+        this.elements.analyzerOptionsControls.addEventListener('change', (e) => {
+            if (e.target.dataset.option) {
+                this.handleAnalyzerOptionChange(e.target);
+            }
+        });
+        
+        this.elements.analyzerOptionsReset.addEventListener('click', () => {
+            this.resetAnalyzerOptions();
+        });
+        
+        // Cancel a running analysis
+        this.elements.batchProgressJobs.addEventListener('click', (e) => {
+            const button = e.target.closest('.batch-job-cancel');
+            if (button) {
+                this.cancelJob(button.dataset.job);
+                return;
+            }
+            
+            // Follow a running job's output in the results tab
+            const name = e.target.closest('.batch-job-name');
+            if (name) {
+                this.showLiveLog(name.dataset.mod);
+            }
+        });
+        
         // Tab switching
         this.elements.tabButtons.forEach(btn => {
             btn.addEventListener('click', () => {
@@ -167,12 +366,15 @@ class ModAnalyzer {
             // The first version in sorted list is the latest
             const latestVersion = sortedVersions[0].version;
             this.currentVersion = latestVersion;
+            this.versions = sortedVersions.map(v => v.version);
             
             this.elements.versionSelect.innerHTML = sortedVersions.map(v => 
-                `<option value="${v.version}" ${v.version === latestVersion ? 'selected' : ''}>
+                `<option value="${v.version}" ${v.version === latestVersion ? 'selected' : ''}
+                         data-label="${v.version}${v.version === latestVersion ? ' (Latest)' : ''}">
                     ${v.version}${v.version === latestVersion ? ' (Latest)' : ''}
                 </option>`
             ).join('');
+            this.renderVersionCacheStatus();
         } catch (error) {
             console.warn('Could not load versions, using default');
             this.elements.versionSelect.innerHTML = '<option value="latest">Latest</option>';
@@ -180,12 +382,81 @@ class ModAnalyzer {
         }
     }
     
+    /**
+     * Mark versions in the dropdown that load without downloading or compiling again
+     * While offline, versions that were never saved for offline use can't be picked
+     */
+    async renderVersionCacheStatus() {
+        const [cached, offline] = await Promise.all([getCachedVersions(), getOfflineVersions()]);
+        this.offlineVersions = offline;
+        
+        for (const option of this.elements.versionSelect.options) {
+            const label = option.dataset.label || option.value;
+            if (offline.has(option.value)) {
+                option.textContent = `${label} · offline`;
+            } else if (this.workerPool.modules.has(option.value)) {
+                option.textContent = `${label} · loaded`;
+            } else if (cached.has(option.value)) {
+                option.textContent = `${label} · cached`;
+            } else {
+                option.textContent = label;
+            }
+            option.disabled = !this.online && !offline.has(option.value) && option.value !== this.currentVersion;
+        }
+        
+        this.renderOfflineStatus();
+    }
+    
+    renderOfflineStatus() {
+        const selected = this.elements.versionSelect.value;
+        const saved = this.offlineVersions.has(selected);
+        const button = this.elements.versionOffline;
+        
+        button.textContent = saved ? 'Remove Offline' : 'Save Offline';
+        button.title = saved
+            ? `Delete the offline copy of ${selected}`
+            : `Download ${selected} so it can be used without a connection`;
+        button.disabled = !saved && !this.online;
+        
+        const versions = [...this.offlineVersions];
+        const status = this.elements.offlineStatus;
+        status.textContent = this.online ? '' : 'Offline';
+        status.style.display = this.online ? 'none' : 'inline-block';
+        status.title = versions.length > 0
+            ? `Analyzer versions available offline: ${versions.join(', ')}`
+            : 'No analyzer versions are saved for offline use';
+    }
+    
+    /**
+     * Download the selected version for offline use, or delete its offline copy
+     * @param {string} version - Analyzer version
+     */
+    async toggleVersionOffline(version) {
+        if (this.offlineVersions.has(version)) {
+            await removeVersion(version);
+            await this.renderVersionCacheStatus();
+            return;
+        }
+        
+        this.showLoading(`Downloading ${version} for offline use...`);
+        try {
+            await downloadVersion(version);
+        } catch (error) {
+            alert(`Failed to save ${version} for offline use: ${error.message}`);
+        } finally {
+            this.hideLoading();
+        }
+        await this.renderVersionCacheStatus();
+    }
+    
     async initWorker() {
-        this.showLoading('Initializing analyzer...');
+        this.showLoading(`Initializing analyzer (${this.workerPool.size} workers)...`);
         
         try {
-            await this.createWorker();
+            await this.workerPool.init(this.currentVersion);
             this.workerReady = true;
+            this.renderAnalyzerOptions();
+            this.renderVersionCacheStatus();
             this.hideLoading();
         } catch (error) {
             this.hideLoading();
@@ -193,264 +464,1033 @@ class ModAnalyzer {
         }
     }
     
-    async createWorker() {
-        // Terminate existing worker if any
-        if (this.worker) {
-            this.worker.terminate();
+    /**
+     * Find the mod packages in the given files and queue them for analysis
+     * @param {FileList|Array<File|{file: File, path: string}>} files - Selected or dropped files
+     */
+    async handleFiles(files) {
+        const candidates = Array.from(files, item => item instanceof File ? { file: item, path: item.name } : item);
+        const zipFiles = candidates.filter(({ file }) => isZipFile(file.name));
+        
+        if (zipFiles.length === 0) {
+            alert('Please select .zip mod files or folders containing them');
+            return;
         }
         
-        this.worker = new Worker('./js/worker.mjs', { type: 'module' });
+        // Zips of zips are opened and multi-mod archives split into one package per mod
+        this.showLoading(`Scanning ${zipFiles.length} archive${zipFiles.length === 1 ? '' : 's'}...`);
+        let packages;
+        try {
+            packages = await findModPackages(zipFiles);
+        } finally {
+            this.hideLoading();
+        }
         
-        this.worker.addEventListener('message', (event) => {
-            this.handleWorkerMessage(event.data);
-        });
+        // Hand every package to the worker pool at once - idle workers pick them up
+        for (const { file, path } of packages) {
+            this.enqueueFile(file, path);
+        }
         
-        // Wait for worker ready
-        await new Promise((resolve) => {
-            const handler = (event) => {
-                if (event.data.type === 'worker-ready') {
-                    this.worker.removeEventListener('message', handler);
-                    resolve();
-                }
-            };
-            this.worker.addEventListener('message', handler);
-        });
+        // Show main content
+        this.elements.mainContent.style.display = 'grid';
+    }
+    
+    /**
+     * Let the user pick a folder: a loose mod is zipped and analyzed, anything else is searched for zips
+     */
+    async openFolder() {
+        if (!window.showDirectoryPicker) {
+            this.elements.folderInput.click();
+            return;
+        }
+        
+        let handle;
+        try {
+            handle = await window.showDirectoryPicker({ mode: 'read' });
+        } catch (error) {
+            // Closing the picker is not an error
+            if (error.name !== 'AbortError') {
+                alert('Failed to open folder: ' + error.message);
+            }
+            return;
+        }
+        
+        this.showLoading(`Reading ${handle.name}...`);
+        let files;
+        try {
+            files = await walkFileSystemHandle(handle);
+        } catch (error) {
+            alert('Failed to read folder: ' + error.message);
+            return;
+        } finally {
+            this.hideLoading();
+        }
         
-        // Initialize WASM
-        await this.sendWorkerMessage('init', { version: this.currentVersion });
+        await this.handleFolder(handle.name, files, handle);
     }
     
-    async reinitWorker() {
-        this.workerReady = false;
+    /**
+     * Analyze a drop: dropped mod folders are zipped like picked ones, everything else is searched for zips
+     * @param {Array<{file: File, path: string}>} files - Dropped files, paths starting with the dropped item's name
+     */
+    async handleDrop(files) {
+        const dropped = new Map();
+        for (const item of files) {
+            const name = item.path.split('/')[0];
+            if (!dropped.has(name)) dropped.set(name, []);
+            dropped.get(name).push(item);
+        }
+        
+        const others = [];
+        let modFolders = 0;
+        for (const [name, group] of dropped) {
+            if (isModFolder(group, name)) {
+                modFolders++;
+                await this.handleFolder(name, group, null);
+            } else {
+                others.push(...group);
+            }
+        }
+        
+        // Files dropped next to a mod folder (a readme, say) are not worth a "no zips" alert
+        if (modFolders === 0 || others.some(({ file }) => isZipFile(file.name))) {
+            await this.handleFiles(others);
+        }
+    }
+    
+    /**
+     * Analyze a picked or dropped folder
+     * @param {string} folderName - Name of the folder
+     * @param {Array<{file: File, path: string}>} files - Folder contents, paths starting with the folder name
+     * @param {FileSystemDirectoryHandle|null} handle - Kept so re-analysis picks up edits (null for drops and the input fallback)
+     */
+    async handleFolder(folderName, files, handle) {
+        if (!isModFolder(files, folderName)) {
+            // Not a mod itself - treat it like a dropped folder of zips
+            return this.handleFiles(files);
+        }
+        
+        this.showLoading(`Zipping ${folderName}...`);
+        let zipFile;
         try {
-            await this.createWorker();
-            this.workerReady = true;
+            zipFile = await zipFolder(files, folderName);
         } catch (error) {
-            console.error('Failed to reinitialize worker:', error);
-            throw error;
+            alert(`Failed to zip ${folderName}: ${error.message}`);
+            return;
+        } finally {
+            this.hideLoading();
         }
+        
+        this.enqueueFile(zipFile, `${folderName}/`, handle);
+        this.elements.mainContent.style.display = 'grid';
     }
     
-    async sendWorkerMessage(type, payload) {
-        return new Promise((resolve, reject) => {
-            const id = Date.now() + Math.random();
+    /**
+     * Zip the current contents of a mod folder
+     * @param {FileSystemDirectoryHandle} handle - Folder the mod was loaded from
+     * @returns {Promise<Object>} { contentHash, fileSize, fileData } of the new zip
+     */
+    async readFolderSource(handle) {
+        await ensureReadPermission(handle);
+        
+        const file = await zipFolder(await walkFileSystemHandle(handle), handle.name);
+        const fileData = await file.arrayBuffer();
+        
+        return { contentHash: await hashContent(fileData), fileSize: file.size, fileData };
+    }
+    
+    /**
+     * Queue a file for analysis and insert its result once all earlier files are in
+     * @param {File} file - Zip file to analyze
+     * @param {string} [sourcePath] - Where the package came from (folder path, outer archive)
+     * @param {FileSystemDirectoryHandle} [directoryHandle] - Folder a loose mod was zipped from
+     */
+    enqueueFile(file, sourcePath = file.name, directoryHandle = null) {
+        const sequence = this.nextJobSequence++;
+        const controller = new AbortController();
+        
+        this.batchProgress.queued++;
+        this.updateBatchProgress();
+        
+        const onStart = (modId) => {
+            this.runningJobs.set(sequence, { fileName: sourcePath, modId, controller });
+            this.updateBatchProgress();
+        };
+        
+        this.processFile(file, { signal: controller.signal, onStart, sourcePath, directoryHandle })
+            .catch(error => {
+                // Couldn't even read the file - leave a gap so later results aren't held back
+                console.error(`Failed to read ${file.name}:`, error);
+                return null;
+            })
+            .then(modData => {
+                this.runningJobs.delete(sequence);
+                this.recordBatchResult(modData);
+                
+                // Identical files aren't analyzed again - point the user at the existing entry
+                if (modData?.duplicateOf !== undefined) {
+                    this.addDuplicateNotice(sourcePath, modData.duplicateOf);
+                    modData = null;
+                }
+                
+                this.completeJob(sequence, modData);
+            });
+    }
+    
+    /**
+     * Hand a finished job to the in-order insertion
+     * @param {number} sequence - Job sequence from nextJobSequence
+     * @param {Object|null} modData - Result to insert (null leaves a gap)
+     */
+    completeJob(sequence, modData) {
+        this.completedJobs.set(sequence, modData);
+        this.insertChain = this.insertChain.then(() => this.insertCompletedJobs());
+    }
+    
+    /**
+     * Download the mods named in the page URL and queue them like dropped files
+     * ?mod=<url> names a zip, ?manifest=<url> a JSON list of zips; both may be repeated
+     * Downloads run one at a time so the results keep the order of the links
+     */
+    async loadRemoteMods() {
+        const { mods, manifests, invalid } = getRemoteSources();
+        if (mods.length === 0 && manifests.length === 0 && invalid.length === 0) return;
+        
+        this.elements.mainContent.style.display = 'grid';
+        
+        // Broken links and manifests are listed like broken mods so each link's problem is visible
+        const reportFailure = (url, error) => {
+            this.batchProgress.queued++;
+            this.addRemoteFailure(url, error);
+        };
+        
+        invalid.forEach(({ url, error }) => reportFailure(url, error));
+        
+        const urls = [...mods];
+        for (const manifestUrl of manifests) {
+            try {
+                const manifest = await fetchManifest(manifestUrl);
+                urls.push(...manifest.urls);
+                manifest.invalid.forEach(({ url, error }) => reportFailure(url, error));
+            } catch (error) {
+                reportFailure(manifestUrl, error);
+            }
+        }
+        
+        // Count every download up front so the bar shows how much is left
+        this.batchProgress.queued += urls.length;
+        this.updateBatchProgress();
+        
+        for (const url of urls) {
+            await this.downloadMod(url);
+        }
+    }
+    
+    /**
+     * Download one zip with progress in the batch bar, then queue the packages inside it
+     * @param {string} url - Absolute zip URL (already counted as queued)
+     */
+    async downloadMod(url) {
+        const controller = new AbortController();
+        const job = { fileName: `${url} (downloading)`, modId: null, controller };
+        
+        let packages;
+        try {
+            const fileName = getUrlFileName(url);
+            job.fileName = `${fileName} (downloading)`;
             
-            const handler = (event) => {
-                if (event.data.id === id) {
-                    this.worker.removeEventListener('message', handler);
-                    resolve(event.data.payload);
+            // Progress arrives per chunk - only re-render when the label changes
+            const onProgress = (loaded, total) => {
+                const progress = total ? `${Math.floor((loaded / total) * 100)}%` : formatBytes(loaded);
+                const label = `${fileName} (downloading ${progress})`;
+                if (label !== job.fileName) {
+                    job.fileName = label;
+                    this.updateBatchProgress();
                 }
             };
             
-            this.worker.addEventListener('message', handler);
-            this.worker.postMessage({ type, payload, id });
+            this.runningJobs.set('download', job);
+            this.updateBatchProgress();
             
-            // Timeout after 2 seconds
-            setTimeout(() => {
-                this.worker.removeEventListener('message', handler);
-                const error = new Error('Worker timeout - parsing took longer than 2 seconds');
-                error.isTimeout = true; // Mark as timeout for worker recreation
-                reject(error);
-            }, 2000);
-        });
+            const file = await downloadZip(url, { signal: controller.signal, onProgress });
+            packages = await findModPackages([{ file, path: url }]);
+        } catch (error) {
+            console.error(`Failed to download ${url}:`, error);
+            this.runningJobs.delete('download');
+            this.addRemoteFailure(url, error);
+            return;
+        }
+        
+        this.runningJobs.delete('download');
+        this.batchProgress.queued--;
+        for (const { file, path } of packages) {
+            this.enqueueFile(file, path);
+        }
+    }
+    
+    /**
+     * List a link that couldn't be downloaded as a failed (or cancelled) mod
+     * @param {string} url - Link that failed
+     * @param {Error} error - Why the download failed
+     */
+    addRemoteFailure(url, error) {
+        const source = {
+            id: Date.now() + Math.random(),
+            contentHash: null,
+            fileName: getUrlFileName(url),
+            sourcePath: url,
+            directoryHandle: null,
+            fileSize: 0,
+            fileData: null,
+            options: this.getAnalyzerOptionValues()
+        };
+        
+        const modData = this.buildFailedModData(source, error);
+        modData.runs = [this.createRun(modData, this.currentVersion, error)];
+        modData.runIndex = 0;
+        
+        this.recordBatchResult(modData);
+        this.completeJob(this.nextJobSequence++, modData);
     }
     
-    handleWorkerMessage(data) {
-        // Handle worker messages that don't need response promises
-        if (data.type === 'init-complete') {
-            // WASM initialized successfully
+    /**
+     * Insert finished results in the order their files were queued
+     */
+    async insertCompletedJobs() {
+        while (this.completedJobs.has(this.nextInsertSequence)) {
+            const modData = this.completedJobs.get(this.nextInsertSequence);
+            this.completedJobs.delete(this.nextInsertSequence);
+            this.nextInsertSequence++;
+            
+            if (!modData) continue;
+            
+            this.insertMod(modData);
+            this.hashesInFlight.delete(modData.contentHash);
+            this.renderDuplicateNotices();
+            
+            if (modData.status !== 'failed' && modData.status !== 'cancelled') {
+                // Select this mod (it's at index 0 since it was inserted at the top)
+                await this.selectMod(0);
+            }
+            
+            this.renderModList();
+            this.saveState();
         }
     }
     
-    async handleFiles(files) {
-        const zipFiles = Array.from(files).filter(f => f.name.endsWith('.zip'));
+    /**
+     * Add a mod to the top of the list, keeping the current selection on the same mod
+     */
+    insertMod(modData) {
+        this.processedMods.unshift(modData);
+        if (this.currentModIndex >= 0) {
+            this.currentModIndex++;
+        }
+    }
+    
+    /**
+     * Analyze one file outside the drop queue and show its result (used by the embed bridge)
+     * @param {File} file - Zip file to analyze
+     * @param {Object} [options] - sourcePath label and analyzerOptions (see processFile)
+     * @returns {Promise<{modData: Object, duplicate: boolean}>} The result, or the existing entry for a file seen before
+     */
+    async analyzeFile(file, { sourcePath = file.name, analyzerOptions = null } = {}) {
+        const modData = await this.processFile(file, { sourcePath, analyzerOptions });
         
-        if (zipFiles.length === 0) {
-            alert('Please select .zip mod files');
+        if (modData.duplicateOf !== undefined) {
+            const index = this.processedMods.findIndex(mod => mod.id === modData.duplicateOf);
+            if (index === -1) {
+                throw new Error(`${sourcePath} is already being analyzed`);
+            }
+            await this.selectMod(index);
+            return { modData: this.processedMods[index], duplicate: true };
+        }
+        
+        this.insertMod(modData);
+        this.hashesInFlight.delete(modData.contentHash);
+        this.elements.mainContent.style.display = 'grid';
+        await this.selectMod(0);
+        this.saveState();
+        
+        return { modData, duplicate: false };
+    }
+    
+    /**
+     * Count a finished job in the batch progress
+     * @param {Object|null} modData - Job result (null if the file couldn't be read, { duplicateOf } if skipped)
+     */
+    recordBatchResult(modData) {
+        this.batchProgress.queued--;
+        if (modData?.duplicateOf !== undefined) {
+            this.batchProgress.duplicates++;
+        } else if (modData?.status === 'cancelled') {
+            this.batchProgress.cancelled++;
+        } else if (!modData || modData.status === 'failed') {
+            this.batchProgress.failed++;
+        } else {
+            this.batchProgress.done++;
+        }
+        this.updateBatchProgress();
+    }
+    
+    /**
+     * Cancel a running analysis - its worker is terminated and the mod marked cancelled
+     * @param {string} key - Job sequence or re-analyzed mod id, as rendered on its cancel button
+     */
+    cancelJob(key) {
+        for (const [jobKey, job] of this.runningJobs) {
+            if (String(jobKey) === key) {
+                job.controller.abort();
+            }
+        }
+    }
+    
+    /**
+     * Analyze a stored mod again with the current analyzer version and options
+     * Mods loaded from a folder are zipped again first so edits are picked up
+     * The entry is replaced in place and the new run is added to its history
+     * @param {Object} mod - Mod from processedMods
+     */
+    async reanalyzeMod(mod) {
+        if (this.reanalyzingIds.has(mod.id)) return;
+        
+        if (!mod.fileData && !mod.directoryHandle) {
+            alert(`Can't re-analyze ${mod.fileName} - its file data was dropped to save storage space. Drop the file again instead.`);
             return;
         }
         
-        // Add to queue
-        for (const file of zipFiles) {
-            this.processingQueue.push(file);
+        const controller = new AbortController();
+        this.reanalyzingIds.add(mod.id);
+        this.batchProgress.queued++;
+        this.updateBatchProgress();
+        this.renderModList();
+        
+        const onStart = () => {
+            this.runningJobs.set(mod.id, { fileName: mod.fileName, modId: mod.id, controller });
+            this.updateBatchProgress();
+        };
+        
+        let source = this.getSource(mod);
+        if (mod.directoryHandle) {
+            try {
+                source = { ...source, ...await this.readFolderSource(mod.directoryHandle) };
+            } catch (error) {
+                this.reanalyzingIds.delete(mod.id);
+                this.recordBatchResult(null);
+                this.renderModList();
+                alert(`Can't re-read ${mod.sourcePath}: ${error.message}`);
+                return;
+            }
         }
         
-        // Start processing if not already processing
-        if (!this.isProcessing) {
-            this.processQueue();
+        const modData = await this.analyzeSource(source, { signal: controller.signal, onStart });
+        
+        this.reanalyzingIds.delete(mod.id);
+        this.runningJobs.delete(mod.id);
+        this.recordBatchResult(modData);
+        
+        // The entry may have been selected, stepped back or cleared while the analysis ran
+        const current = this.processedMods.find(m => m.id === mod.id);
+        
+        // A cancelled re-run is dropped and the previous result stays in place
+        if (!current || modData.status === 'cancelled') {
+            this.renderModList();
+            return;
         }
         
-        // Show main content
-        this.elements.mainContent.style.display = 'grid';
+        const runs = [...this.getRuns(current), ...modData.runs].slice(-MAX_MOD_RUNS);
+        await this.replaceMod(current, { ...modData, runs, runIndex: runs.length - 1 });
     }
     
-    async processQueue() {
-        if (this.processingQueue.length === 0) {
-            this.isProcessing = false;
+    /**
+     * Re-analyze every mod that still has its file data (or folder)
+     */
+    reanalyzeAll() {
+        const mods = this.processedMods.filter(mod => mod.fileData || mod.directoryHandle);
+        const skipped = this.processedMods.length - mods.length;
+        
+        if (mods.length === 0) {
+            alert('No mods to re-analyze - drop the files again to analyze them');
             return;
         }
+        if (skipped > 0) {
+            console.warn(`Skipping ${skipped} mod(s) whose file data was evicted`);
+        }
+        
+        for (const mod of mods) {
+            this.reanalyzeMod(mod);
+        }
+    }
+    
+    /**
+     * Swap a mod for a new state of itself, keeping its position in the list
+     * @param {Object} oldMod - Mod currently in processedMods
+     * @param {Object} modData - Replacement mod data (same id)
+     */
+    async replaceMod(oldMod, modData) {
+        const index = this.processedMods.indexOf(oldMod);
+        if (index === -1) return;
+        
+        this.processedMods[index] = modData;
         
-        this.isProcessing = true;
-        const file = this.processingQueue.shift();
+        if (index === this.currentModIndex) {
+            // Same mod, new result - keep the open file and scroll positions
+            const viewStates = this.captureViewStates();
+            await this.selectMod(index);
+            await this.restoreViewStates(viewStates);
+            return;
+        }
         
-        await this.processFile(file);
+        // Let session views pick up the new result without changing the selection
+        const selected = this.processedMods[this.currentModIndex];
+        for (const tab of Object.values(this.tabs)) {
+            tab.setCurrentMod(modData);
+            if (selected) {
+                tab.setCurrentMod(selected);
+            }
+        }
         
-        // Process next
-        this.processQueue();
+        this.renderModList();
+        this.saveState();
     }
     
-    async processFile(file) {
-        const modId = Date.now() + Math.random();
+    /**
+     * Show a running analysis' output in the results tab
+     * @param {string} modId - Id of the mod being analyzed (from a running job)
+     */
+    showLiveLog(modId) {
+        // Ids come back from data attributes as strings; random fallback ids are numbers
+        const liveLog = [...this.liveLogs.values()].find(log => String(log.modId) === String(modId));
+        if (!liveLog) return;
         
-        this.showLoading(`Processing ${file.name}...`);
+        this.tabs.results.showLiveLog(liveLog);
+        this.switchTab('results');
+    }
+    
+    /**
+     * Capture each tab's view of the selected mod
+     * Tabs that haven't rendered it yet keep whatever state they were already waiting on
+     */
+    captureViewStates() {
+        const modId = this.processedMods[this.currentModIndex]?.id;
+        const states = {};
         
-        // Read file first (before try block) so we always have the arrayBuffer
-        const arrayBuffer = await file.arrayBuffer();
+        for (const [name, tab] of Object.entries(this.tabs)) {
+            states[name] = tab.needsRender ? tab.pendingViewState : { modId, ...tab.getViewState() };
+        }
         
-        try {
-            // Process with worker
-            const result = await this.sendWorkerMessage('process', {
-                fileName: file.name,
-                fileSize: file.size,
-                fileData: arrayBuffer,
-                options: {}
-            });
-            
-            // Create mod data with all information
-            const modData = {
-                id: modId,
-                fileName: file.name,
-                fileSize: file.size,
-                fileData: arrayBuffer,
-                result: result,
-                parsed: parser.parseAnalysisResult(result),
-                errors: parser.extractErrors(result.stderr),
-                processingTime: result.processingTime,
-                timestamp: new Date()
-            };
-            
-            // Pre-parse errors once and cache on mod object
-            const errorManager = new ErrorManager();
-            if (result.stderr) {
-                errorManager.parseErrors(result.stderr);
-                modData.errorsByFile = new Map(errorManager.errorsByFile);
-            } else {
-                modData.errorsByFile = new Map();
+        return states;
+    }
+    
+    /**
+     * Put back view states from captureViewStates after the selected mod was refreshed
+     * Hidden tabs restore theirs the next time they are shown
+     */
+    async restoreViewStates(states) {
+        const activeTab = document.querySelector('.tab.active')?.dataset.tab;
+        
+        for (const [name, tab] of Object.entries(this.tabs)) {
+            tab.pendingViewState = states[name] || null;
+            if (name === activeTab) {
+                await this.applyPendingViewState(tab);
             }
-            
-            // Run validation once using validation registry
-            modData.validationResult = this.validationRegistry.validate(modData);
-            
-            // Derive status from validation result
-            const hasAnalyzerError = modData.validationResult.byField.has('analyzer');
-            const hasParserError = hasAnalyzerError; // Analyzer errors include parser failures
-            
-            if (hasParserError) {
-                modData.status = 'failed';
-                // Set error message from analyzer validation
-                const analyzerIssues = modData.validationResult.byField.get('analyzer');
-                if (analyzerIssues && analyzerIssues.length > 0 && !modData.error) {
-                    modData.error = analyzerIssues[0].message;
-                }
-            } else if (modData.validationResult.hasErrors()) {
-                modData.status = 'validation-failed';
-            } else {
-                modData.status = 'success';
-            }
-            
-            // Backward compatibility: maintain old validationErrors format
-            // Include all validation errors except analyzer errors (which are shown separately)
-            modData.validationErrors = modData.validationResult.bySeverity.error
-                .filter(issue => issue.field !== 'analyzer')
-                .map(issue => ({
-                    field: issue.field,
-                    message: issue.message
-                }));
-            
-            // Derive error categories from validation result
-            modData.errorCategories = {
-                validation: modData.validationErrors,
-                analyzer: modData.validationResult.byField.get('analyzer') || [],
-                stderr: modData.errors || [],
-                other: []
-            };
-            
-            // Mark as validated
-            modData.validationComplete = true;
-            
-            // Add to processed mods list and select it
-            this.processedMods.unshift(modData);
-            
-            // Select this mod (it's at index 0 since we used unshift) - this will trigger validation
-            await this.selectMod(0);
-            
-            // Render the list after validation is complete
+        }
+    }
+    
+    async applyPendingViewState(tab) {
+        const state = tab.pendingViewState;
+        tab.pendingViewState = null;
+        
+        // Only meaningful for the mod it was captured from
+        if (state && state.modId === this.processedMods[this.currentModIndex]?.id) {
+            await tab.restoreViewState(state);
+        }
+    }
+    
+    /**
+     * Start or stop watching a mod's folder, re-analyzing it whenever a file changes
+     * @param {Object} mod - Mod loaded from a folder (has a directoryHandle)
+     */
+    async toggleWatch(mod) {
+        if (this.folderWatcher.isWatching(mod.id)) {
+            this.folderWatcher.unwatch(mod.id);
             this.renderModList();
-            
-            // Save state
-            this.saveState();
-            
+            return;
+        }
+        
+        try {
+            // Asking for permission needs the click that got us here
+            await ensureReadPermission(mod.directoryHandle);
         } catch (error) {
-            console.error('Processing error:', error);
-            
-            // If timeout occurred, recreate the worker
-            if (error.isTimeout) {
-                try {
-                    await this.reinitWorker();
-                } catch (reinitError) {
-                    console.error('Failed to reinitialize worker after timeout:', reinitError);
+            alert(`Can't watch ${mod.sourcePath}: ${error.message}`);
+            return;
+        }
+        
+        const modId = mod.id;
+        this.folderWatcher.watch(modId, mod.directoryHandle, {
+            onChange: () => {
+                // The entry is replaced on every run, so always look up the latest one
+                const current = this.processedMods.find(m => m.id === modId);
+                if (!current) {
+                    this.folderWatcher.unwatch(modId);
+                    return;
                 }
+                return this.reanalyzeMod(current);
+            },
+            onError: (error) => {
+                this.renderModList();
+                alert(`Stopped watching ${mod.sourcePath}: ${error.message}`);
             }
+        });
+        this.renderModList();
+    }
+    
+    /**
+     * The file a mod was built from, for analyzing or rebuilding it again
+     */
+    getSource(mod) {
+        return {
+            id: mod.id,
+            contentHash: mod.contentHash,
+            fileName: mod.fileName,
+            sourcePath: mod.sourcePath,
+            directoryHandle: mod.directoryHandle || null,
+            fileSize: mod.fileSize,
+            fileData: mod.fileData
+        };
+    }
+    
+    /**
+     * Analysis runs of a mod, oldest first
+     * Mods saved before run history existed get a single run built from their result
+     */
+    getRuns(mod) {
+        if (mod.runs) return mod.runs;
+        
+        const thrown = mod.status === 'cancelled' || (mod.status === 'failed' && mod.processingTime === undefined);
+        const error = thrown ? { message: mod.error, isCancelled: mod.status === 'cancelled' } : null;
+        return [this.createRun(mod, 'unknown', error)];
+    }
+    
+    /**
+     * Record what produced a mod's result so the run can be rebuilt later
+     * @param {Object} modData - Mod data built from the run
+     * @param {string} version - Analyzer version the run used
+     * @param {Object} [error] - Set if the analysis failed before producing a result
+     */
+    createRun(modData, version, error = null) {
+        return {
+            version: modData.result?.version || version,
+            options: modData.options || {},
+            result: error ? null : modData.result,
+            error: error ? { message: error.message, isCancelled: Boolean(error.isCancelled), log: error.log || '' } : null,
+            timestamp: modData.timestamp
+        };
+    }
+    
+    /**
+     * Show an earlier (or later) run of the selected mod
+     * @param {number} runIndex - Index into the mod's runs
+     */
+    async showRun(runIndex) {
+        const mod = this.processedMods[this.currentModIndex];
+        if (!mod) return;
+        
+        const runs = this.getRuns(mod);
+        const run = runs[runIndex];
+        if (!run) return;
+        
+        const source = { ...this.getSource(mod), options: run.options };
+        const modData = run.error
+            ? this.buildFailedModData(source, run.error)
+            : this.buildModData(source, run.result);
+        modData.timestamp = new Date(run.timestamp);
+        
+        await this.replaceMod(mod, { ...modData, runs, runIndex });
+    }
+    
+    /**
+     * Show the run navigation for the selected mod (hidden when it only has one run)
+     */
+    renderRunHistory() {
+        const mod = this.processedMods[this.currentModIndex];
+        const runs = mod ? this.getRuns(mod) : [];
+        
+        if (runs.length < 2) {
+            this.elements.runHistory.style.display = 'none';
+            return;
+        }
+        
+        const runIndex = mod.runIndex ?? runs.length - 1;
+        const run = runs[runIndex];
+        const isLatest = runIndex === runs.length - 1;
+        
+        this.elements.runHistory.style.display = 'flex';
+        this.elements.runHistory.innerHTML = `
+            <button class="btn btn-secondary" data-run="${runIndex - 1}" ${runIndex === 0 ? 'disabled' : ''}>◀ Older</button>
+            <span class="run-history-label">
+                Run ${runIndex + 1} of ${runs.length}${isLatest ? ' (latest)' : ''}
+                · ${escapeHtml(run.version)} · ${formatTimestamp(run.timestamp)}
+            </span>
+            <button class="btn btn-secondary" data-run="${runIndex + 1}" ${isLatest ? 'disabled' : ''}>Newer ▶</button>
+        `;
+    }
+    
+    /**
+     * Option values to analyze with: defaults overlaid with the user's saved values
+     * @param {string} [version] - Analyzer version (defaults to the loaded one)
+     * @returns {Object} Values keyed by option name
+     */
+    getAnalyzerOptionValues(version = this.currentVersion) {
+        const saved = loadPreferences().analyzerOptions?.[version] || {};
+        
+        // Descriptors are only known for the loaded version, other versions get their saved values as-is
+        return version === this.currentVersion
+            ? resolveOptionValues(this.analyzerOptions, saved)
+            : { ...saved };
+    }
+    
+    /**
+     * Build controls for the options reported by the loaded analyzer
+     */
+    renderAnalyzerOptions() {
+        this.analyzerOptions = this.workerPool.options;
+        this.elements.analyzerOptionsVersion.textContent = this.currentVersion;
+        
+        if (this.analyzerOptions.length === 0) {
+            this.elements.analyzerOptionsControls.innerHTML =
+                '<div class="analyzer-options-empty">This analyzer version doesn\'t report any options.</div>';
+            this.elements.analyzerOptionsReset.disabled = true;
+            return;
+        }
+        
+        const values = this.getAnalyzerOptionValues();
+        this.elements.analyzerOptionsControls.innerHTML = this.analyzerOptions
+            .map(option => this.renderAnalyzerOptionControl(option, values[option.name]))
+            .join('');
+        this.elements.analyzerOptionsReset.disabled = false;
+    }
+    
+    renderAnalyzerOptionControl(option, value) {
+        const id = `analyzer-option-${option.name}`;
+        const attrs = `id="${id}" data-option="${escapeXml(option.name)}"`;
+        let control;
+        
+        switch (option.type) {
+            case 'flag':
+                control = `<input type="checkbox" ${attrs} ${value ? 'checked' : ''}>`;
+                break;
+            case 'enum':
+                control = `<select ${attrs}>
+                    ${option.allowed.map(allowed => `
+                        <option value="${escapeXml(allowed)}" ${allowed === value ? 'selected' : ''}>${escapeHtml(allowed)}</option>
+                    `).join('')}
+                </select>`;
+                break;
+            case 'number':
+                control = `<input type="number" ${attrs} value="${escapeXml(value)}" ${option.required ? 'required' : ''}>`;
+                break;
+            default:
+                control = `<input type="text" ${attrs} value="${escapeXml(value)}" ${option.required ? 'required' : ''}>`;
+        }
+        
+        return `
+            <div class="analyzer-option analyzer-option-${option.type}">
+                <label for="${id}">--${escapeHtml(option.name)}${option.short ? ` <span class="analyzer-option-short">-${escapeHtml(option.short)}</span>` : ''}</label>
+                ${control}
+                ${option.description ? `<div class="analyzer-option-description">${escapeHtml(option.description)}</div>` : ''}
+                <div class="analyzer-option-error"></div>
+            </div>
+        `;
+    }
+    
+    handleAnalyzerOptionChange(input) {
+        const option = this.analyzerOptions.find(o => o.name === input.dataset.option);
+        if (!option) return;
+        
+        const raw = option.type === 'flag' ? input.checked : input.value;
+        const { value, error } = coerceOptionValue(option, raw);
+        
+        toggleClass(input, 'invalid', Boolean(error));
+        input.closest('.analyzer-option').querySelector('.analyzer-option-error').textContent = error || '';
+        
+        // Invalid values are never sent - the last valid value stays in effect
+        if (error) return;
+        
+        const allOptions = loadPreferences().analyzerOptions || {};
+        allOptions[this.currentVersion] = { ...allOptions[this.currentVersion], [option.name]: value };
+        setPreference('analyzerOptions', allOptions);
+    }
+    
+    resetAnalyzerOptions() {
+        const allOptions = loadPreferences().analyzerOptions || {};
+        delete allOptions[this.currentVersion];
+        setPreference('analyzerOptions', allOptions);
+        this.renderAnalyzerOptions();
+    }
+    
+    /**
+     * Run the analyzer, retrying once with a longer timeout if the first attempt times out
+     */
+    async runAnalysis(payload, { signal = null, onStart = null, onLog = null } = {}) {
+        const { workerTimeout, timeoutRetryMultiplier } = loadPreferences();
+        
+        try {
+            return await this.workerPool.run('process', payload, { timeout: workerTimeout, signal, onStart, onLog });
+        } catch (error) {
+            if (!error.isTimeout) throw error;
             
-            // Create failed mod data with empty result/parsed objects to avoid errors in display
-            const modData = {
-                id: modId,
-                fileName: file.name,
-                fileSize: file.size,
-                fileData: arrayBuffer, // Include fileData so file browser can access it
-                status: 'failed',
-                error: error.message,
-                timestamp: new Date(),
-                result: {
-                    stderr: error.message,
-                    stdout: '',
-                    data: {},
-                    processingTime: 0,
-                    success: false,
-                    error: error.message
-                },
-                parsed: {
-                    name: 'unknown',
-                    id: 'unknown',
-                    uuid: 'unknown',
-                    game: 'unknown',
-                    version: '0.0.0',
-                    category: 'err',
-                    path: '',
-                    stderr: error.message
-                },
-                errors: [],
-                errorsByFile: new Map()
-            };
-            
-            // Run validation on failed mod too
-            modData.validationResult = this.validationRegistry.validate(modData);
+            const retryTimeout = workerTimeout * timeoutRetryMultiplier;
+            console.warn(`${payload.fileName} timed out, retrying with a ${retryTimeout / 1000}s timeout`);
+            return await this.workerPool.run('process', payload, { timeout: retryTimeout, signal, onStart, onLog });
+        }
+    }
+    
+    /**
+     * Analyze a single file and build its mod data (failures produce a failed mod)
+     * @param {File} file - Zip file to analyze
+     * @param {Object} [options] - signal to cancel, onStart called when a worker picks it up,
+     *                            sourcePath label and directoryHandle of a loose mod folder,
+     *                            analyzerOptions to use instead of the saved ones
+     * @returns {Promise<Object>} Mod data, or { duplicateOf } if identical content was already analyzed
+     */
+    async processFile(file, { signal = null, onStart = null, sourcePath = file.name, directoryHandle = null, analyzerOptions = null } = {}) {
+        // Read file first so we always have the arrayBuffer
+        const arrayBuffer = await file.arrayBuffer();
+        const contentHash = await hashContent(arrayBuffer);
+        
+        if (contentHash) {
+            const existingId = this.findModIdByHash(contentHash);
+            if (existingId !== null) {
+                return { duplicateOf: existingId };
+            }
+        }
+        
+        // The hash is the mod's identity; random ids are only used where SubtleCrypto is missing
+        const modId = contentHash || Date.now() + Math.random();
+        if (contentHash) {
+            this.hashesInFlight.set(contentHash, modId);
+        }
+        
+        const source = {
+            id: modId,
+            contentHash,
+            fileName: file.name,
+            sourcePath,
+            directoryHandle,
+            fileSize: file.size,
+            fileData: arrayBuffer
+        };
+        return this.analyzeSource(source, { signal, onStart, analyzerOptions });
+    }
+    
+    /**
+     * Find the mod (analyzed or still in progress) with the given content hash
+     * @param {string} contentHash - SHA-256 of the file
+     * @returns {string|number|null} Mod id, or null if the content hasn't been seen
+     */
+    findModIdByHash(contentHash) {
+        const existing = this.processedMods.find(mod => mod.contentHash === contentHash);
+        if (existing) return existing.id;
+        
+        return this.hashesInFlight.get(contentHash) ?? null;
+    }
+    
+    /**
+     * Tell the user a dropped file was skipped because it was already analyzed
+     * @param {string} fileName - Name of the dropped file
+     * @param {string|number} modId - Id of the existing entry
+     */
+    addDuplicateNotice(fileName, modId) {
+        this.duplicateNotices.push({ fileName, modId });
+        this.renderDuplicateNotices();
+    }
+    
+    renderDuplicateNotices() {
+        const notices = this.duplicateNotices;
+        this.elements.duplicateNotice.style.display = notices.length > 0 ? 'block' : 'none';
+        if (notices.length === 0) return;
+        
+        this.elements.duplicateNoticeList.innerHTML = notices.map(({ fileName, modId }, i) => {
+            const existing = this.processedMods.find(mod => mod.id === modId);
+            const target = existing
+                ? `<a href="#" class="duplicate-notice-link" data-notice="${i}">${escapeHtml(existing.fileName)}</a>`
+                : 'an entry that is still being analyzed';
+            return `<li><strong>${escapeHtml(fileName)}</strong> was already analyzed as ${target}</li>`;
+        }).join('');
+    }
+    
+    /**
+     * Select the existing entry a duplicate notice points at
+     */
+    showDuplicate(noticeIndex) {
+        const notice = this.duplicateNotices[noticeIndex];
+        const index = notice ? this.processedMods.findIndex(mod => mod.id === notice.modId) : -1;
+        if (index !== -1) {
+            this.selectMod(index);
+        }
+    }
+    
+    /**
+     * Analyze file data with the current analyzer version and options
+     * @param {Object} source - { id, contentHash, fileName, sourcePath, directoryHandle, fileSize, fileData } of the file
+     * @param {Object} [options] - signal to cancel, onStart called with the mod id when a worker picks it up,
+     *                            analyzerOptions overriding the defaults instead of the saved values
+     * @returns {Promise<Object>} Mod data whose run history holds just this run
+     */
+    async analyzeSource(source, { signal = null, onStart = null, analyzerOptions: givenOptions = null } = {}) {
+        const version = this.currentVersion;
+        const analyzerOptions = givenOptions
+            ? resolveOptionValues(this.analyzerOptions, givenOptions)
+            : this.getAnalyzerOptionValues();
+        const sourceWithOptions = { ...source, options: analyzerOptions };
+        const liveLog = { modId: source.id, fileName: source.sourcePath || source.fileName, lines: [], running: true };
+        let modData;
+        let error = null;
+        
+        // A timed out first attempt is retried from scratch, so its output starts over too
+        const onAttemptStart = () => {
+            liveLog.lines = [];
+            this.liveLogs.set(source.id, liveLog);
+            this.tabs.results.updateLiveLog(liveLog);
+            onStart?.(source.id);
+        };
+        const onLog = ({ text }) => {
+            liveLog.lines.push(text);
+            this.tabs.results.appendLiveLog(source.id, text);
+        };
+        
+        try {
+            // Process with worker
+            const result = await this.runAnalysis({
+                fileName: source.fileName,
+                fileSize: source.fileSize,
+                fileData: source.fileData,
+                options: analyzerOptions
+            }, { signal, onStart: onAttemptStart, onLog });
             
-            // Backward compatibility
-            modData.validationErrors = [];
-            modData.errorCategories = {
-                validation: [],
-                analyzer: modData.validationResult.byField.get('analyzer') || [],
-                stderr: [],
-                other: []
-            };
-            modData.validationComplete = true;
+            modData = this.buildModData(sourceWithOptions, result);
+        } catch (caught) {
+            // Hung or crashed workers are recreated by the pool, the file is just marked failed
+            console.error('Processing error:', caught);
             
-            this.processedMods.unshift(modData);
-            this.renderModList();
+            // Keep what was printed before the timeout or crash to show how far it got
+            error = caught;
+            error.log = liveLog.lines.join('\n');
+            modData = this.buildFailedModData(sourceWithOptions, error);
         } finally {
-            this.hideLoading();
+            liveLog.running = false;
+            this.liveLogs.delete(source.id);
+            this.tabs.results.updateLiveLog(liveLog);
         }
+        
+        modData.runs = [this.createRun(modData, version, error)];
+        modData.runIndex = 0;
+        
+        return modData;
+    }
+    
+    /**
+     * Build mod data from an analyzer result with this session's validators
+     * @param {Object} source - { id, fileName, fileSize, fileData, options } of the analyzed file
+     * @param {Object} result - Worker 'process' response
+     * @returns {Object} Mod data
+     */
+    buildModData(source, result) {
+        return core.buildModData(source, result, this.validationRegistry);
+    }
+    
+    /**
+     * Build mod data for a file the analyzer couldn't process
+     * @param {Object} source - { id, fileName, fileSize, fileData } of the file
+     * @param {Error} error - Why processing failed
+     * @returns {Object} Failed (or cancelled) mod data
+     */
+    buildFailedModData(source, error) {
+        return core.buildFailedModData(source, error, this.validationRegistry);
+    }
+    
+    /**
+     * Build the validators from the built-in checks and custom rules, graded by the active profile
+     * @returns {ValidationRegistry}
+     */
+    createValidationRegistry() {
+        return registerCustomRules(createDefaultRegistry(), this.customRules).setProfile(this.validationProfile);
+    }
+    
+    /**
+     * Replace the custom validation rules and re-validate every mod in the session
+     * @param {Array<Object>} rules - Normalized rules (see custom-rules.mjs)
+     */
+    async setCustomRules(rules) {
+        this.customRules = rules;
+        saveCustomRules(rules);
+        await this.revalidateSession();
+    }
+    
+    /**
+     * Switch the active validation profile and re-validate every mod in the session
+     * @param {string} id - Profile id (unknown ids fall back to the standard profile)
+     */
+    async setValidationProfile(id) {
+        this.validationProfile = findProfile(id, this.customProfiles);
+        setPreference('validationProfile', this.validationProfile.id);
+        this.renderProfileSelect();
+        await this.revalidateSession();
+    }
+    
+    /**
+     * Replace the user's validation profiles
+     * @param {Array<Object>} profiles - Normalized profiles (see validation-profiles.mjs)
+     * @param {string} [activeId] - Profile to make active, defaults to the current one
+     */
+    async setCustomProfiles(profiles, activeId = this.validationProfile.id) {
+        this.customProfiles = profiles;
+        saveCustomProfiles(profiles);
+        await this.setValidationProfile(activeId);
+    }
+    
+    renderProfileSelect() {
+        this.elements.profileSelect.innerHTML = getProfiles(this.customProfiles).map(profile => `
+            <option value="${escapeXml(profile.id)}" ${profile.id === this.validationProfile.id ? 'selected' : ''}>${escapeHtml(profile.name)}</option>
+        `).join('');
+    }
+    
+    /**
+     * Rebuild the validators and re-validate every mod with them
+     */
+    async revalidateSession() {
+        this.validationRegistry = this.createValidationRegistry();
+        
+        const viewStates = this.captureViewStates();
+        
+        // Update the mods in place, so the selected mod stays selected in every tab
+        for (const mod of this.processedMods) {
+            const revalidated = core.revalidateModData(mod, this.validationRegistry);
+            if (revalidated !== mod) {
+                Object.assign(mod, revalidated);
+                // The copy carries the old persisted flag - the new validation still has to be saved
+                mod.persisted = false;
+            }
+        }
+        for (const tab of Object.values(this.tabs)) {
+            tab.onSessionChanged(this.processedMods);
+        }
+        
+        // Only the active tab re-renders now - the rest render when switched to
+        const activeTab = document.querySelector('.tab.active')?.dataset.tab;
+        if (this.processedMods[this.currentModIndex]) {
+            if (activeTab && this.tabs[activeTab]) {
+                this.tabs[activeTab].render();
+                this.tabs[activeTab].needsRender = false;
+            }
+            await this.restoreViewStates(viewStates);
+        } else {
+            this.tabs.rules.render();
+        }
+        
+        this.renderModList();
+        this.saveState();
     }
     
     renderModList() {
@@ -469,8 +1509,14 @@ class ModAnalyzer {
         // Use DocumentFragment for better performance
         const fragment = document.createDocumentFragment();
         
+        // Revisions of the same package are listed together, newest first
+        const entries = groupRevisions(filtered).flatMap(group => {
+            const conflicts = findVersionConflicts(group);
+            return group.map((mod, i) => ({ mod, revision: group.length - i, revisions: group.length, conflict: conflicts.get(mod) }));
+        });
+        
         // Batch create elements
-        filtered.forEach(mod => {
+        entries.forEach(({ mod, revision, revisions, conflict }) => {
             const actualIndex = this.processedMods.indexOf(mod);
             const statusClass = mod.status;
             const activeClass = actualIndex === this.currentModIndex ? 'active' : '';
@@ -481,20 +1527,57 @@ class ModAnalyzer {
                 'processing': 'Processing...',
                 'success': `Success (${mod.processingTime ? parser.formatDuration(mod.processingTime) : ''})`,
                 'validation-failed': `Validation Issue (${mod.processingTime ? parser.formatDuration(mod.processingTime) : ''})`,
-                'failed': 'Fail'
+                'failed': 'Fail',
+                'cancelled': 'Cancelled'
             }[mod.status] || mod.status;
             
+            const runCount = this.getRuns(mod).length;
+            const reanalyzing = this.reanalyzingIds.has(mod.id);
+            const watching = this.folderWatcher.isWatching(mod.id);
+            const runText = reanalyzing ? ' · Re-analyzing...' : runCount > 1 ? ` · ${runCount} runs` : '';
+            const watchButton = mod.directoryHandle ? `
+                <button class="btn-icon mod-item-watch ${watching ? 'watching' : ''}"
+                        title="${watching ? 'Stop watching the folder' : 'Watch the folder and re-analyze on changes'}">👁</button>
+            ` : '';
+            const revisionText = revisions > 1 ? `<div class="mod-item-revision-label">Revision ${revision} of ${revisions}</div>` : '';
+            const version = mod.parsed?.valid && !String(mod.parsed.version).startsWith('[web-default') ? mod.parsed.version : null;
+            const conflictText = conflict ? ` · ⚠ ${conflict.type === 'downgrade' ? 'Downgrade' : 'Version not bumped'}` : '';
+            const versionText = version ? `
+                <div class="mod-item-version ${conflict ? 'conflict' : ''}" title="${escapeXml(conflict?.message || '')}">v${escapeHtml(version)}${conflictText}</div>
+            ` : '';
+            const revisionClass = revision < revisions ? 'mod-item-revision' : '';
+            const sourceText = mod.sourcePath && mod.sourcePath !== mod.fileName
+                ? `<div class="mod-item-path">${escapeHtml(mod.sourcePath)}</div>`
+                : '';
+            
             const el = createElement('div', {
-                className: `mod-item ${statusClass} ${activeClass} ${categoryClass}`,
+                className: `mod-item ${statusClass} ${activeClass} ${categoryClass} ${revisionClass} ${watching ? 'watching' : ''}`,
                 dataset: { index: actualIndex },
                 innerHTML: `
-                    <div class="mod-item-name" title="${mod.fileName}">${mod.fileName}</div>
-                    <div class="mod-item-status">${statusText}</div>
+                    <div class="mod-item-header">
+                        <div class="mod-item-name" title="${escapeHtml(mod.sourcePath || mod.fileName)}">${escapeHtml(mod.fileName)}</div>
+                        <button class="btn-icon mod-item-reanalyze"
+                                title="${mod.directoryHandle ? 'Re-analyze (reads the folder again)' : 'Re-analyze'}"
+                                ${(!mod.fileData && !mod.directoryHandle) || reanalyzing ? 'disabled' : ''}>↻</button>
+                        ${watchButton}
+                    </div>
+                    ${sourceText}
+                    <div class="mod-item-status">${statusText}${runText}${watching ? ' · Watching' : ''}</div>
+                    ${versionText}
+                    ${revisionText}
                 `
             });
             
-            // Add click handler directly
+            // Add click handlers directly
             el.addEventListener('click', () => this.selectMod(actualIndex));
+            el.querySelector('.mod-item-reanalyze').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.reanalyzeMod(mod);
+            });
+            el.querySelector('.mod-item-watch')?.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleWatch(mod);
+            });
             fragment.appendChild(el);
         });
         
@@ -508,7 +1591,8 @@ class ModAnalyzer {
         if (!filter) return this.processedMods;
         
         return this.processedMods.filter(mod => 
-            mod.fileName.toLowerCase().includes(filter)
+            mod.fileName.toLowerCase().includes(filter) ||
+            mod.sourcePath?.toLowerCase().includes(filter)
         );
     }
     
@@ -523,6 +1607,7 @@ class ModAnalyzer {
         if (!mod) return;
         
         this.renderModList();
+        this.renderRunHistory();
         
         // Determine if this is the first time loading this mod
         const needsProcessing = !mod.tabsInitialized;
@@ -550,6 +1635,8 @@ class ModAnalyzer {
         }
         
         // Don't render inactive tabs - they will render when switched to
+        
+        this.saveState();
     }
     
     switchTab(tabName) {
@@ -573,7 +1660,14 @@ class ModAnalyzer {
                 this.tabs[tabName].render();
                 this.tabs[tabName].needsRender = false;
             }
+            
+            // Refreshed while hidden - put the user back where they were
+            if (this.tabs[tabName].pendingViewState) {
+                this.applyPendingViewState(this.tabs[tabName]);
+            }
         }
+        
+        this.saveState();
     }
     
     switchSubTab(subTabName) {
@@ -598,14 +1692,18 @@ class ModAnalyzer {
         
         // Re-render the parent tab to ensure both views are updated
         this.tabs[parentTab].render();
+        
+        this.saveState();
     }
     
     async switchVersion(version) {
         this.showLoading(`Switching to version ${version}...`);
         
         try {
-            await this.sendWorkerMessage('switch-version', { version });
+            await this.workerPool.switchVersion(version);
             this.currentVersion = version;
+            this.renderAnalyzerOptions();
+            this.renderVersionCacheStatus();
             
             // Update file browser tab to use new version's metadata
             if (this.tabs.files && this.tabs.files.setVersion) {
@@ -620,9 +1718,13 @@ class ModAnalyzer {
     }
     
     clearHistory() {
+        this.folderWatcher.unwatchAll();
         this.processedMods = [];
         this.currentModIndex = -1;
+        this.duplicateNotices = [];
         this.renderModList();
+        this.renderRunHistory();
+        this.renderDuplicateNotices();
         
         // Clear all tabs
         for (const tab of Object.values(this.tabs)) {
@@ -630,7 +1732,13 @@ class ModAnalyzer {
         }
         
         this.elements.mainContent.style.display = 'none';
-        this.saveState();
+        
+        // Clearing also drops any saved session that was never restored
+        this.pendingSession = null;
+        this.elements.restorePrompt.style.display = 'none';
+        this.sessionStore.clear().catch(error => {
+            console.warn('Failed to clear saved session:', error);
+        });
     }
     
     showLoading(text = 'Loading...') {
@@ -642,35 +1750,192 @@ class ModAnalyzer {
         this.elements.loadingOverlay.style.display = 'none';
     }
     
-    saveState() {
+    /**
+     * Update the batch progress bar (replaces the loading overlay while analyzing)
+     */
+    updateBatchProgress() {
+        const { done, queued, failed, cancelled, duplicates } = this.batchProgress;
+        const finished = done + failed + cancelled + duplicates;
+        const total = finished + queued;
+        
+        clearTimeout(this.batchProgressTimer);
+        
+        this.elements.batchProgress.style.display = 'block';
+        this.elements.batchProgressText.innerHTML = `
+            <span class="batch-count-done">${done} done</span>
+            <span class="batch-count-queued">${queued} queued</span>
+            <span class="batch-count-failed">${failed} failed</span>
+            ${cancelled ? `<span class="batch-count-cancelled">${cancelled} cancelled</span>` : ''}
+            ${duplicates ? `<span class="batch-count-duplicates">${duplicates} already analyzed</span>` : ''}
+        `;
+        this.elements.batchProgressFill.style.width = `${total ? (finished / total) * 100 : 0}%`;
+        
+        // Jobs currently on a worker, each with its own cancel button
+        this.elements.batchProgressJobs.innerHTML = Array.from(this.runningJobs.entries()).map(([key, job]) => `
+            <div class="batch-job">
+                <span class="batch-job-name" data-mod="${escapeXml(String(job.modId))}"
+                      title="Show live output of ${escapeXml(job.fileName)}">${escapeHtml(job.fileName)}</span>
+                <button class="btn btn-secondary batch-job-cancel" data-job="${key}">Cancel</button>
+            </div>
+        `).join('');
+        
+        // Batch finished - hide the bar and start counting from zero next time
+        if (queued === 0) {
+            this.batchProgressTimer = setTimeout(() => {
+                this.elements.batchProgress.style.display = 'none';
+                this.batchProgress = { done: 0, queued: 0, failed: 0, cancelled: 0, duplicates: 0 };
+            }, 2000);
+        }
+    }
+    
+    /**
+     * Snapshot of the session layout (mod order, selection, active tabs)
+     */
+    getSessionState() {
+        const activeSubTabs = [];
+        document.querySelectorAll('.sub-tab.active').forEach(btn => {
+            activeSubTabs.push(btn.dataset.subTab);
+        });
+        
+        // Mods from a saved session that hasn't been restored yet stay at the bottom
+        const pendingIds = this.pendingSession?.modIds || [];
+        
+        return {
+            modIds: [...this.processedMods.map(mod => mod.id), ...pendingIds],
+            currentModId: this.processedMods[this.currentModIndex]?.id ?? null,
+            activeTab: document.querySelector('.tab.active')?.dataset.tab || 'results',
+            activeSubTabs,
+            savedAt: new Date()
+        };
+    }
+    
+    async saveState() {
+        if (!this.sessionStore.available || this.embedded) return;
+        
         try {
-            // Only save metadata, not file data
-            const metadata = this.processedMods.map(mod => ({
-                fileName: mod.fileName,
-                fileSize: mod.fileSize,
-                status: mod.status,
-                timestamp: mod.timestamp,
-                parsed: mod.parsed
-            }));
-            
-            localStorage.setItem('modAnalyzer:mods', JSON.stringify(metadata));
+            // Only write mods that changed since the last save (zip bytes can be large)
+            for (const mod of this.processedMods) {
+                if (!mod.persisted && mod.status !== 'processing') {
+                    await this.sessionStore.putMod(mod);
+                    mod.persisted = true;
+                }
+            }
+            
+            await this.sessionStore.putState(this.getSessionState());
         } catch (error) {
             console.warn('Failed to save state:', error);
         }
     }
     
-    loadState() {
+    async loadState() {
+        // Older versions kept metadata only in localStorage - it can't be restored
+        localStorage.removeItem('modAnalyzer:mods');
+        
+        if (!this.sessionStore.available) return;
+        
         try {
-            const saved = localStorage.getItem('modAnalyzer:mods');
-            if (saved) {
-                const metadata = JSON.parse(saved);
-                // Show in list but mark as needing re-analysis
-                // (we don't save file data)
-            }
+            const state = await this.sessionStore.getState();
+            if (!state || !state.modIds || state.modIds.length === 0) return;
+            
+            this.pendingSession = state;
+            
+            const count = state.modIds.length;
+            const savedAt = state.savedAt ? ` from ${formatTimestamp(state.savedAt)}` : '';
+            this.elements.restorePromptText.textContent =
+                `Restore last session${savedAt}? (${count} mod${count === 1 ? '' : 's'})`;
+            this.elements.restorePrompt.style.display = 'flex';
         } catch (error) {
             console.warn('Failed to load state:', error);
         }
     }
+    
+    /**
+     * Restore the saved session: mod list, tabs and selection
+     */
+    async restoreSession() {
+        const state = this.pendingSession;
+        this.pendingSession = null;
+        this.elements.restorePrompt.style.display = 'none';
+        
+        if (!state) return;
+        
+        this.showLoading('Restoring last session...');
+        
+        try {
+            const storedMods = await this.sessionStore.getMods();
+            const byId = new Map(storedMods.map(mod => [mod.id, mod]));
+            const currentIds = new Set(this.processedMods.map(mod => mod.id));
+            
+            const restored = state.modIds
+                .filter(id => !currentIds.has(id))
+                .map(id => byId.get(id))
+                .filter(Boolean);
+            
+            if (restored.length === 0) return;
+            
+            // Mods saved under other rules or another profile take the active ones' result (and are saved again)
+            const validationKey = mod => JSON.stringify([mod.status, mod.validationResult?.issues, mod.validationResult?.profile]);
+            for (const mod of restored) {
+                const stored = validationKey(mod);
+                Object.assign(mod, core.revalidateModData(mod, this.validationRegistry));
+                mod.persisted = validationKey(mod) === stored;
+            }
+            
+            // Anything processed while the prompt was open is newer - keep it on top
+            const hadMods = this.processedMods.length > 0;
+            this.processedMods.push(...restored);
+            
+            // Session views collect mods as they are seen - replay oldest first to keep their order
+            for (const mod of [...restored].reverse()) {
+                for (const tab of Object.values(this.tabs)) {
+                    tab.setCurrentMod(mod);
+                }
+            }
+            
+            this.elements.mainContent.style.display = 'grid';
+            
+            if (hadMods) {
+                // Keep the user's current selection, just show the restored mods in the list
+                this.renderModList();
+                await this.saveState();
+                return;
+            }
+            
+            const selectedIndex = Math.max(0, this.processedMods.findIndex(mod => mod.id === state.currentModId));
+            await this.selectMod(selectedIndex);
+            
+            // Switch tabs after selecting so they render with a mod loaded
+            if (state.activeTab && this.tabs[state.activeTab]) {
+                this.switchTab(state.activeTab);
+            }
+            for (const subTab of state.activeSubTabs || []) {
+                this.switchSubTab(subTab);
+            }
+        } catch (error) {
+            console.error('Failed to restore session:', error);
+            alert('Failed to restore session: ' + error.message);
+        } finally {
+            this.hideLoading();
+        }
+    }
+    
+    /**
+     * Throw away the saved session, keeping anything processed since the page loaded
+     */
+    async discardSession() {
+        this.pendingSession = null;
+        this.elements.restorePrompt.style.display = 'none';
+        
+        try {
+            await this.sessionStore.clear();
+            for (const mod of this.processedMods) {
+                mod.persisted = false;
+            }
+            await this.saveState();
+        } catch (error) {
+            console.warn('Failed to discard session:', error);
+        }
+    }
 }
 
 // Initialize app when DOM is ready
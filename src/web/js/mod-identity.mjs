@@ -0,0 +1,91 @@
+// Mod Identity - content hashing and revision grouping for processed mods
+
+import { parseUuid } from './parser.mjs';
+import { compareSemver } from './semver.mjs';
+
+// uuid values that don't identify a package (failed analysis, missing metadata)
+const PLACEHOLDER_UUIDS = ['', 'unknown'];
+
+/**
+ * Hash file contents with SHA-256
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Promise<string|null>} Hex digest, or null if SubtleCrypto isn't available
+ */
+export async function hashContent(buffer) {
+    // SubtleCrypto only exists in secure contexts (https or localhost)
+    if (!globalThis.crypto?.subtle) return null;
+    
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Key that ties revisions of the same package together
+ * The version is left out of the uuid so every release of a package lands in one group
+ * @param {Object} mod - Processed mod
+ * @returns {string|null} "game/category/name" of the mod's uuid, or null if it doesn't have a usable one
+ */
+export function getRevisionKey(mod) {
+    const uuid = mod.parsed?.uuid;
+    if (typeof uuid !== 'string' || PLACEHOLDER_UUIDS.includes(uuid) || uuid.startsWith('[web-default')) {
+        return null;
+    }
+    
+    const { game, path } = parseUuid(uuid);
+    return path ? `${game}/${path}` : uuid;
+}
+
+/**
+ * Group mods that share a uuid (different content, same package)
+ * Groups keep the position of their first member; mods without a uuid are groups of one
+ * @param {Array<Object>} mods - Mods in list order (newest first)
+ * @returns {Array<Array<Object>>} Groups in list order, each newest revision first
+ */
+export function groupRevisions(mods) {
+    const groups = [];
+    const byKey = new Map();
+    
+    for (const mod of mods) {
+        const key = getRevisionKey(mod);
+        
+        if (key && byKey.has(key)) {
+            byKey.get(key).push(mod);
+            continue;
+        }
+        
+        const group = [mod];
+        groups.push(group);
+        if (key) {
+            byKey.set(key, group);
+        }
+    }
+    
+    return groups;
+}
+
+/**
+ * Flag revisions whose version doesn't move forward from the revision before them
+ * Identical files never get this far (they are skipped as duplicates), so two revisions with
+ * the same version have different content under one version number
+ * @param {Array<Object>} group - Revisions of one package, newest first (see groupRevisions)
+ * @returns {Map<Object, {type: 'downgrade'|'duplicate', previous: Object, message: string}>} Flagged revisions
+ */
+export function findVersionConflicts(group) {
+    const conflicts = new Map();
+    
+    for (let i = 0; i < group.length - 1; i++) {
+        const version = group[i].parsed?.version;
+        const previous = group[i + 1];
+        const previousVersion = previous.parsed?.version;
+        
+        // Versions that aren't semver are reported by the version validator instead
+        const order = compareSemver(version, previousVersion);
+        if (order === null || order > 0) continue;
+        
+        conflicts.set(group[i], order < 0
+            ? { type: 'downgrade', previous, message: `Version ${version} is older than ${previousVersion} in the previous revision` }
+            : { type: 'duplicate', previous, message: `Same version as the previous revision (${previousVersion}) but different content` });
+    }
+    
+    return conflicts;
+}
@@ -0,0 +1,37 @@
+// Offline support - service worker registration and connectivity status
+
+/**
+ * Register the service worker and hand it every app file this page loaded
+ * Module imports, stylesheets and vendor scripts are discovered from the resource timing
+ * entries, so the worker's precache doesn't need a hand-maintained list of every file
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null where unsupported
+ */
+export async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return null;
+    
+    try {
+        const registration = await navigator.serviceWorker.register('sw.js');
+        const ready = await navigator.serviceWorker.ready;
+        
+        const urls = [
+            location.href,
+            ...performance.getEntriesByType('resource').map(entry => entry.name)
+        ];
+        ready.active?.postMessage({ type: 'precache', urls });
+        
+        return registration;
+    } catch (error) {
+        console.warn('Service worker registration failed:', error);
+        return null;
+    }
+}
+
+/**
+ * Call back whenever the browser goes on- or offline
+ * @param {Function} callback - Called with true when online, false when offline
+ */
+export function watchConnectivity(callback) {
+    window.addEventListener('online', () => callback(true));
+    window.addEventListener('offline', () => callback(false));
+    callback(navigator.onLine);
+}
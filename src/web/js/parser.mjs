@@ -1,18 +1,21 @@
 // JSON parsing and formatting utilities
 
 import { escapeHtml } from './utils/html-utils.mjs';
+import { parseSemver } from './semver.mjs';
 import { formatBytes as formatBytesUtil, formatDuration as formatDurationUtil } from './utils/format-utils.mjs';
 
 /**
  * Parse UUID to extract game, version, category, and name
  * Format: game@version/category/name
  * Example: "onb@2.0.0/player/MegamanBN6_falzar"
+ * semver is the parsed version (see semver.mjs), or null if it isn't valid semver
  */
 export function parseUuid(uuid) {
     if (!uuid || typeof uuid !== 'string') {
         return {
             game: '[web-default: unknown]',
             version: '[web-default: 0.0.0]',
+            semver: null,
             category: '[web-default: unknown]',
             name: '[web-default: unknown]',
             path: ''
@@ -26,6 +29,7 @@ export function parseUuid(uuid) {
         return {
             game: '[web-default: unknown]',
             version: '[web-default: 0.0.0]',
+            semver: null,
             category: '[web-default: unknown]',
             name: uuid,
             path: ''
@@ -42,6 +46,7 @@ export function parseUuid(uuid) {
         return {
             game,
             version: slashSplit[0],
+            semver: parseSemver(slashSplit[0]),
             category: '[web-default: unknown]',
             name: '[web-default: unknown]',
             path: ''
@@ -57,6 +62,7 @@ export function parseUuid(uuid) {
     return {
         game,
         version,
+        semver: parseSemver(version),
         category,
         name,
         path
@@ -89,6 +95,7 @@ export function parseAnalysisResult(result) {
     // Note: Default values prefixed with [web-default:] are client-side fallbacks, not from WASM
     // Category determination: Use uuidInfo.category first, then result.data.category
     // If result.data.category is empty/null/undefined, but not 'err', use web default
+    const version = uuidInfo.version || result.data.version || '[web-default: 0.0.0]';
     const wasmCategory = result.data.category;
     let finalCategory;
     if (uuidInfo.category && uuidInfo.category !== '[web-default: unknown]') {
@@ -108,7 +115,8 @@ export function parseAnalysisResult(result) {
         game: uuidInfo.game,
         name: result.data.name || uuidInfo.name || '[web-default: Unnamed Mod]',
         description: result.data.description || '',
-        version: uuidInfo.version || result.data.version || '[web-default: 0.0.0]',
+        version,
+        semver: parseSemver(version),
         category: finalCategory,
         path: uuidInfo.path,
         bytes: result.data.bytes || 0,
@@ -119,108 +127,71 @@ export function parseAnalysisResult(result) {
 }
 
 /**
- * Clean error message by removing [line:column] prefix
- * Example: "[193:20] Found TokenType.kDot..." -> "Found TokenType.kDot..."
- * Also handles spaces: "[ 193:20 ] Found..." -> "Found..."
- */
-export function cleanErrorMessage(message) {
-    if (!message) return message;
-    // Remove [line:column] prefix (with or without spaces)
-    return message.replace(/^\[\s*\d+\s*:\s*\d+\s*\]\s*/, '');
-}
-
-/**
- * Extract error information from stderr
+ * Read one dependency entry into { id, constraint, raw }
+ * Entries are a package id with an optional version requirement: "com.example.lib",
+ * "com.example.lib@^1.2.0", "com.example.lib >=1.0.0", a full uuid (pins its version)
+ * or an object like { id, version }
+ * @returns {Object|null} null if the entry doesn't name a package
  */
-export function extractErrors(stderr) {
-    if (!stderr) return [];
-    
-    const errors = [];
-    const lines = stderr.split('\n');
-    
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-        const trimmed = line.trim();
-        if (!trimmed) continue;
-        
-        // Skip context lines (indented lines starting with "...")
-        // These provide stack trace info but aren't errors themselves
-        if (/^\s+\.\.\./.test(line)) {
-            continue;
-        }
+function parseDependencyEntry(entry) {
+    if (entry && typeof entry === 'object') {
+        const reference = parseDependencyEntry(entry.id || entry.package_id || entry.uuid);
+        if (!reference) return null;
         
-        // Skip summary lines
-        if (trimmed.startsWith('Errors while evaluating')) {
-            continue;
-        }
-        
-        // Everything else that's not empty is treated as an stderr error
-        // This includes:
-        // - ERR: prefixed errors
-        // - WARN: prefixed warnings
-        // - [line:column] location-based errors
-        // - Script missing: errors
-        // - Other runtime errors like "A programmer forgot..."
-        // - Function argument mismatches
-        // - Any other error messages
-        
-        const errorType = line.startsWith('WARN:') ? 'warning' : 'error';
-        errors.push({
-            type: errorType,
-            message: trimmed,
-            line: trimmed,
-            isContext: false
-        });
+        const constraint = entry.version || entry.constraint || entry.requires || reference.constraint;
+        return { id: reference.id, constraint: constraint ? String(constraint).trim() : null, raw: JSON.stringify(entry) };
     }
     
-    return errors;
-}
-
-/**
- * Parse error messages to extract file paths and line numbers
- */
-export function parseErrorLocation(errorMessage) {
-    // Match patterns like: file.lua:10:5 or file.lua line 10
-    const patterns = [
-        /([^:]+):(\d+):(\d+)/,  // file:line:column
-        /([^:]+):(\d+)/,         // file:line
-        /([^\s]+) line (\d+)/    // file line N
-    ];
+    if (typeof entry !== 'string' || !entry.trim()) return null;
+    const raw = entry.trim();
     
-    for (const pattern of patterns) {
-        const match = errorMessage.match(pattern);
-        if (match) {
-            return {
-                file: match[1],
-                line: parseInt(match[2]),
-                column: match[3] ? parseInt(match[3]) : null
-            };
-        }
+    // Full uuid: game@version/category/name
+    if (/^[^@\s]+@[^/\s]+\/.+/.test(raw)) {
+        const { name, version } = parseUuid(raw);
+        return { id: name, constraint: version, raw };
     }
     
-    return null;
+    const separator = raw.match(/@|\s+/);
+    if (!separator) {
+        return { id: raw, constraint: null, raw };
+    }
+    return {
+        id: raw.slice(0, separator.index),
+        constraint: raw.slice(separator.index + separator[0].length).trim() || null,
+        raw
+    };
 }
 
 /**
  * Extract dependency information from mod data
+ * Every package type can declare dependencies (cards, players, enemies, libraries...)
+ * @returns {Object} { packageId, dependencies: [{ id, constraint, raw }] } with constraint null if any version will do
  */
 export function extractDependencies(modData) {
     const packageId = modData.id || '[web-default: unknown]';
-    let dependencies = [];
+    const entries = [];
     
-    // Check for library type with dependencies
-    if (modData.data && modData.data.type === 'library' && modData.data.dependencies) {
-        dependencies = modData.data.dependencies;
+    if (Array.isArray(modData.data?.dependencies)) {
+        entries.push(...modData.data.dependencies);
     }
     
     // Check for any other dependency fields
-    if (modData.dependencies) {
-        dependencies = [...dependencies, ...modData.dependencies];
+    if (Array.isArray(modData.dependencies)) {
+        entries.push(...modData.dependencies);
+    }
+    
+    // Remove duplicates (same package and requirement)
+    const dependencies = new Map();
+    for (const entry of entries) {
+        const dependency = parseDependencyEntry(entry);
+        if (dependency && !dependencies.has(`${dependency.id} ${dependency.constraint}`)) {
+            dependencies.set(`${dependency.id} ${dependency.constraint}`, dependency);
+        }
     }
     
     return {
         packageId,
-        dependencies: [...new Set(dependencies)] // Remove duplicates
+        dependencies: [...dependencies.values()]
     };
 }
 
@@ -239,54 +210,6 @@ export const formatBytes = formatBytesUtil;
  */
 export const formatDuration = formatDurationUtil;
 
-/**
- * Create a collapsible JSON tree structure
- */
-export function createJsonTree(obj, key = null, level = 0) {
-    const indent = '  '.repeat(level);
-    const lines = [];
-    
-    if (key !== null) {
-        lines.push(`${indent}<span class="json-key">"${key}"</span>: `);
-    }
-    
-    if (obj === null) {
-        lines.push(`<span class="json-null">null</span>`);
-    } else if (typeof obj === 'boolean') {
-        lines.push(`<span class="json-boolean">${obj}</span>`);
-    } else if (typeof obj === 'number') {
-        lines.push(`<span class="json-number">${obj}</span>`);
-    } else if (typeof obj === 'string') {
-        lines.push(`<span class="json-string">"${escapeHtml(obj)}"</span>`);
-    } else if (Array.isArray(obj)) {
-        if (obj.length === 0) {
-            lines.push('[]');
-        } else {
-            lines.push(`<span class="json-expand" data-expanded="true">▼</span>[`);
-            for (let i = 0; i < obj.length; i++) {
-                const item = obj[i];
-                lines.push(createJsonTree(item, null, level + 1));
-                if (i < obj.length - 1) lines.push(',');
-            }
-            lines.push(`${indent}]`);
-        }
-    } else if (typeof obj === 'object') {
-        const keys = Object.keys(obj);
-        if (keys.length === 0) {
-            lines.push('{}');
-        } else {
-            lines.push(`<span class="json-expand" data-expanded="true">▼</span>{`);
-            keys.forEach((k, i) => {
-                lines.push(createJsonTree(obj[k], k, level + 1));
-                if (i < keys.length - 1) lines.push(',');
-            });
-            lines.push(`${indent}}`);
-        }
-    }
-    
-    return lines.join('\n');
-}
-
 /**
  * Search JSON object for matching keys or values
  */
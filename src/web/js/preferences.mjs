@@ -0,0 +1,51 @@
+// User Preferences - small settings persisted in localStorage
+
+const STORAGE_KEY = 'modAnalyzer:preferences';
+
+export const DEFAULT_PREFERENCES = {
+    // Milliseconds a worker may spend on one mod before the request is retried
+    workerTimeout: 2000,
+    // Timed out requests are retried once with the timeout multiplied by this
+    timeoutRetryMultiplier: 4,
+    // Id of the active validation profile (see validation-profiles.mjs)
+    validationProfile: 'standard'
+};
+
+/**
+ * Read all stored preferences merged over the defaults
+ * @returns {Object} Preferences object
+ */
+export function loadPreferences() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        return { ...DEFAULT_PREFERENCES, ...saved };
+    } catch (error) {
+        console.warn('Failed to load preferences:', error);
+        return { ...DEFAULT_PREFERENCES };
+    }
+}
+
+/**
+ * Read a single preference
+ * @param {string} key - Preference name
+ * @returns {*} Stored value, or the default if not set
+ */
+export function getPreference(key) {
+    return loadPreferences()[key];
+}
+
+/**
+ * Store a single preference
+ * @param {string} key - Preference name
+ * @param {*} value - JSON-serializable value
+ */
+export function setPreference(key, value) {
+    try {
+        // Only explicitly set values are stored so changed defaults still apply
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        saved[key] = value;
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+    } catch (error) {
+        console.warn('Failed to save preferences:', error);
+    }
+}
@@ -0,0 +1,155 @@
+// Remote Loader - downloads mods named in the URL (?mod=<url>, ?manifest=<url>)
+// Relative URLs resolve against the page, so a locally served folder works for testing
+
+// First bytes of every zip (local file header, or the end record of an empty archive)
+const ZIP_SIGNATURES = [[0x50, 0x4b, 0x03, 0x04], [0x50, 0x4b, 0x05, 0x06]];
+
+/**
+ * Resolve links against a base URL, setting aside the ones that don't parse so they can be reported
+ * @param {Array<string>} urls - Links as written
+ * @param {string} base - URL they are relative to
+ * @returns {{urls: Array<string>, invalid: Array<{url: string, error: Error}>}} Absolute URLs and rejected links
+ */
+function resolveUrls(urls, base) {
+    const resolved = { urls: [], invalid: [] };
+    for (const url of urls) {
+        try {
+            resolved.urls.push(new URL(url, base).href);
+        } catch (error) {
+            resolved.invalid.push({ url, error: new Error(`${url} is not a valid URL`) });
+        }
+    }
+    return resolved;
+}
+
+/**
+ * Read the mod and manifest URLs from a query string (both may be repeated)
+ * @param {string} [search] - Query string, defaults to the page's
+ * @returns {{mods: Array<string>, manifests: Array<string>, invalid: Array<{url: string, error: Error}>}}
+ *   Absolute URLs, plus the links that aren't valid URLs
+ */
+export function getRemoteSources(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const mods = resolveUrls(params.getAll('mod').filter(Boolean), window.location.href);
+    const manifests = resolveUrls(params.getAll('manifest').filter(Boolean), window.location.href);
+    
+    return {
+        mods: mods.urls,
+        manifests: manifests.urls,
+        invalid: [...mods.invalid, ...manifests.invalid]
+    };
+}
+
+/**
+ * File name to show for a URL (last path segment)
+ * Links that don't parse or decode are shown as written
+ * @param {string} url - Absolute URL
+ */
+export function getUrlFileName(url) {
+    let segment = url.slice(url.lastIndexOf('/') + 1);
+    let fallback = url;
+    try {
+        const { pathname, hostname } = new URL(url);
+        segment = pathname.slice(pathname.lastIndexOf('/') + 1);
+        fallback = hostname;
+    } catch (error) {
+        // Not a URL - the raw segment is the best name there is
+    }
+    
+    try {
+        return decodeURIComponent(segment) || fallback;
+    } catch (error) {
+        // Malformed escapes (e.g. "%E0%A4%A") can't be decoded
+        return segment || fallback;
+    }
+}
+
+/**
+ * Fetch with errors that say what went wrong instead of "Failed to fetch"
+ */
+async function fetchChecked(url, signal) {
+    let response;
+    try {
+        response = await fetch(url, { signal });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            error.isCancelled = true;
+            throw error;
+        }
+        // Browsers don't say why a request failed - these are the usual causes
+        throw new Error(`Couldn't fetch ${url} - the server is unreachable or doesn't allow cross-origin requests (CORS)`);
+    }
+    
+    if (!response.ok) {
+        throw new Error(`Couldn't fetch ${url} - ${response.status} ${response.statusText || 'error'}`.trim());
+    }
+    return response;
+}
+
+/**
+ * Download a manifest: a JSON list of zip URLs, relative to the manifest itself
+ * Entries may be strings or { url } objects, and the list may be wrapped as { mods: [...] }
+ * @param {string} url - Absolute manifest URL
+ * @param {AbortSignal} [signal] - Cancels the download
+ * @returns {Promise<{urls: Array<string>, invalid: Array<{url: string, error: Error}>}>}
+ *   Absolute zip URLs, plus the entries that aren't valid URLs
+ */
+export async function fetchManifest(url, signal = null) {
+    const response = await fetchChecked(url, signal);
+    
+    let manifest;
+    try {
+        manifest = await response.json();
+    } catch (error) {
+        throw new Error(`Manifest ${url} is not valid JSON`);
+    }
+    
+    const entries = Array.isArray(manifest) ? manifest : manifest?.mods;
+    if (!Array.isArray(entries)) {
+        throw new Error(`Manifest ${url} must be a list of zip URLs (or { "mods": [...] })`);
+    }
+    
+    const links = entries.map(entry => typeof entry === 'string' ? entry : entry?.url).filter(Boolean);
+    return resolveUrls(links, response.url || url);
+}
+
+/**
+ * Download a zip, reporting progress as it arrives
+ * @param {string} url - Absolute zip URL
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the download (the error has isCancelled set)
+ * @param {Function} [options.onProgress] - Called with (loaded, total) bytes; total is 0 if unknown
+ * @returns {Promise<File>} Downloaded zip
+ */
+export async function downloadZip(url, { signal = null, onProgress = null } = {}) {
+    const response = await fetchChecked(url, signal);
+    const total = Number(response.headers.get('Content-Length')) || 0;
+    const contentType = response.headers.get('Content-Type') || 'unknown';
+    
+    const chunks = [];
+    let loaded = 0;
+    try {
+        const reader = response.body.getReader();
+        for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+            chunks.push(chunk.value);
+            loaded += chunk.value.length;
+            onProgress?.(loaded, total);
+        }
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            error.isCancelled = true;
+            throw error;
+        }
+        throw new Error(`Download of ${url} was interrupted: ${error.message}`);
+    }
+    
+    // Servers often label zips as octet-stream, so the bytes decide - an HTML error page is caught here
+    const head = chunks[0] || new Uint8Array(0);
+    if (!ZIP_SIGNATURES.some(signature => signature.every((byte, i) => head[i] === byte))) {
+        throw new Error(`${url} is not a zip file (content type ${contentType})`);
+    }
+    
+    // Download links don't always end in .zip, but the package search goes by the name
+    const name = getUrlFileName(url);
+    return new File(chunks, /\.zip$/i.test(name) ? name : `${name}.zip`, { type: 'application/zip' });
+}
@@ -0,0 +1,280 @@
+// Semantic Versioning - parsing, validation and precedence for mod versions (semver.org 2.0.0)
+
+const NUMERIC = /^(0|[1-9]\d*)$/;
+const IDENTIFIER = /^[0-9A-Za-z-]+$/;
+
+/**
+ * Explain what is wrong with one dot-separated part of a version
+ * @returns {string|null} Message, or null if the identifier is valid
+ */
+function checkIdentifier(identifier, section, numericOnly) {
+    if (identifier === '') {
+        return `empty identifier in ${section}`;
+    }
+    if (!IDENTIFIER.test(identifier)) {
+        const invalid = identifier.match(/[^0-9A-Za-z-]/)[0];
+        return `invalid character "${invalid}" in ${section} (only letters, digits and hyphens are allowed)`;
+    }
+    if (numericOnly && !/^\d+$/.test(identifier)) {
+        return `${section} must be a number, got "${identifier}"`;
+    }
+    // Build metadata may keep leading zeros, numbers everywhere else may not
+    if (section !== 'build metadata' && /^\d+$/.test(identifier) && !NUMERIC.test(identifier)) {
+        return `leading zero in ${section} "${identifier}"`;
+    }
+    return null;
+}
+
+/**
+ * Split "1.2.0-beta.1+build.5" into its release, pre-release and build parts
+ * @returns {{release: string, prerelease: string|null, build: string|null}}
+ */
+function splitVersion(version) {
+    const plus = version.indexOf('+');
+    const core = plus === -1 ? version : version.slice(0, plus);
+    const hyphen = core.indexOf('-');
+    
+    return {
+        release: hyphen === -1 ? core : core.slice(0, hyphen),
+        prerelease: hyphen === -1 ? null : core.slice(hyphen + 1),
+        build: plus === -1 ? null : version.slice(plus + 1)
+    };
+}
+
+/**
+ * Check a version string against semver
+ * @param {string} version - Version to check, e.g. "1.2.0-beta.1+build.5"
+ * @returns {string|null} What is wrong with it, or null if it is valid
+ */
+export function validateSemver(version) {
+    if (typeof version !== 'string' || version.trim() === '') {
+        return 'version is empty';
+    }
+    if (version !== version.trim()) {
+        return 'version has surrounding whitespace';
+    }
+    if (/^v/i.test(version)) {
+        return `remove the "${version[0]}" prefix (use "${version.slice(1)}")`;
+    }
+    
+    const { release, prerelease, build } = splitVersion(version);
+    const numbers = release.split('.');
+    if (numbers.length < 3) {
+        return `missing ${['minor and patch numbers', 'patch number'][numbers.length - 1]} (expected MAJOR.MINOR.PATCH)`;
+    }
+    if (numbers.length > 3) {
+        return `too many numbers in "${release}" (expected MAJOR.MINOR.PATCH)`;
+    }
+    
+    const names = ['major version', 'minor version', 'patch version'];
+    for (let i = 0; i < 3; i++) {
+        const problem = checkIdentifier(numbers[i], names[i], true);
+        if (problem) return problem;
+    }
+    
+    for (const [section, text] of [['pre-release', prerelease], ['build metadata', build]]) {
+        if (text === null) continue;
+        for (const identifier of text.split('.')) {
+            const problem = checkIdentifier(identifier, section, false);
+            if (problem) return problem;
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Parse a semver string
+ * @param {string} version - Version, e.g. "1.2.0-beta.1+build.5"
+ * @returns {Object|null} { major, minor, patch, prerelease, build, raw }, or null if invalid
+ *                        (numeric pre-release identifiers are numbers, the rest strings)
+ */
+export function parseSemver(version) {
+    if (validateSemver(version) !== null) return null;
+    
+    const { release, prerelease, build } = splitVersion(version);
+    const [major, minor, patch] = release.split('.').map(Number);
+    
+    return {
+        major,
+        minor,
+        patch,
+        prerelease: prerelease === null ? [] : prerelease.split('.').map(id => NUMERIC.test(id) ? Number(id) : id),
+        build: build === null ? [] : build.split('.'),
+        raw: version
+    };
+}
+
+/**
+ * Compare two versions by semver precedence (build metadata is ignored)
+ * @param {string|Object} a - Version string or parsed version
+ * @param {string|Object} b - Version string or parsed version
+ * @returns {number|null} Negative if a is older, positive if newer, 0 if equal, null if either is invalid
+ */
+export function compareSemver(a, b) {
+    const left = typeof a === 'string' ? parseSemver(a) : a;
+    const right = typeof b === 'string' ? parseSemver(b) : b;
+    if (!left || !right) return null;
+    
+    for (const part of ['major', 'minor', 'patch']) {
+        if (left[part] !== right[part]) {
+            return left[part] - right[part];
+        }
+    }
+    
+    // A pre-release comes before its release: 1.0.0-beta < 1.0.0
+    if (left.prerelease.length === 0 || right.prerelease.length === 0) {
+        return right.prerelease.length - left.prerelease.length;
+    }
+    
+    const length = Math.max(left.prerelease.length, right.prerelease.length);
+    for (let i = 0; i < length; i++) {
+        const x = left.prerelease[i];
+        const y = right.prerelease[i];
+        
+        // More identifiers win when all before them are equal: 1.0.0-alpha < 1.0.0-alpha.1
+        if (x === undefined) return -1;
+        if (y === undefined) return 1;
+        if (x === y) continue;
+        
+        // Numbers sort before words and numerically among themselves
+        if (typeof x === 'number' && typeof y === 'number') return x - y;
+        if (typeof x === 'number') return -1;
+        if (typeof y === 'number') return 1;
+        return x < y ? -1 : 1;
+    }
+    
+    return 0;
+}
+
+/**
+ * Check if version a is newer than version b
+ * @returns {boolean} false if either is invalid
+ */
+export function isNewerVersion(a, b) {
+    return (compareSemver(a, b) ?? 0) > 0;
+}
+
+/**
+ * Check if two versions have the same precedence (e.g. "1.0.0+a" and "1.0.0+b")
+ * @returns {boolean} false if either is invalid
+ */
+export function isSameVersion(a, b) {
+    return compareSemver(a, b) === 0;
+}
+
+// One term of a range: optional operator, then a version that may leave out or wildcard its trailing numbers
+const RANGE_TERM = /^(\^|~|>=|<=|>|<|=)?(.*)$/;
+const PARTIAL_VERSION = /^(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.([xX*]))?$/;
+
+function makeVersion(major, minor, patch) {
+    return { major, minor, patch, prerelease: [], build: [], raw: `${major}.${minor}.${patch}` };
+}
+
+/**
+ * Turn one range term into the comparators it stands for, e.g. "^1.2.0" -> >=1.2.0 <2.0.0
+ * @returns {Array<{operator: string, version: Object}>|null} Comparators that must all match, or null if invalid
+ */
+function parseRangeTerm(term) {
+    const [, operator = '=', text] = term.match(RANGE_TERM);
+    
+    // Full versions are used as they are, partial ones ("1", "1.2", "1.x") cover every version they leave open
+    let major, minor, patch;
+    const full = parseSemver(text);
+    if (full) {
+        ({ major, minor, patch } = full);
+    } else {
+        const partial = text.match(PARTIAL_VERSION);
+        if (!partial) return null;
+        
+        const numbers = partial.slice(1, 3).map(part => /^\d+$/.test(part ?? '') ? Number(part) : null);
+        if (numbers[0] === null) {
+            // "*", "x" and ">=*" allow anything; "x.1", "<*" and ">*" make no sense
+            return numbers[1] === null && ['=', '>=', '<=', '^', '~'].includes(operator) ? [] : null;
+        }
+        [major, minor] = numbers;
+    }
+    
+    const lower = full || makeVersion(major, minor ?? 0, 0);
+    // First version past what a partial version covers: 1 -> 2.0.0, 1.2 -> 1.3.0
+    const next = minor === null ? makeVersion(major + 1, 0, 0) : makeVersion(major, minor + 1, 0);
+    
+    switch (operator) {
+        case '=':
+            return full ? [{ operator: '=', version: full }] : [{ operator: '>=', version: lower }, { operator: '<', version: next }];
+        case '>':
+            return full ? [{ operator: '>', version: full }] : [{ operator: '>=', version: next }];
+        case '>=':
+            return [{ operator: '>=', version: lower }];
+        case '<':
+            return [{ operator: '<', version: lower }];
+        case '<=':
+            return full ? [{ operator: '<=', version: full }] : [{ operator: '<', version: next }];
+        case '~':
+            // Patch updates only (minor updates too when only the major is given)
+            return [{ operator: '>=', version: lower }, { operator: '<', version: next }];
+        case '^': {
+            // Everything up to the next change of the leftmost non-zero number
+            let upper;
+            if (major > 0 || minor === null) {
+                upper = makeVersion(major + 1, 0, 0);
+            } else if (minor > 0 || !full) {
+                upper = makeVersion(0, minor + 1, 0);
+            } else {
+                upper = makeVersion(0, 0, patch + 1);
+            }
+            return [{ operator: '>=', version: lower }, { operator: '<', version: upper }];
+        }
+    }
+}
+
+/**
+ * Parse a version range in the npm style: "^1.2.0", "~1.2", ">=1.0.0 <2.0.0", "1.x || 2.0.0", "*"
+ * Hyphen ranges ("1.0.0 - 2.0.0") are not supported
+ * @param {string} range - Range to parse
+ * @returns {Array<Array<Object>>|null} Alternatives (any may match), each a list of { operator, version }
+ *                                      comparators that must all match; null if the range is invalid
+ */
+export function parseRange(range) {
+    if (typeof range !== 'string') return null;
+    
+    const alternatives = [];
+    for (const alternative of range.split('||')) {
+        // "> = 1.0.0" and ">= 1.0.0" are the same term
+        const terms = alternative.trim().replace(/(\^|~|[<>]=?|=)\s+/g, '$1').split(/\s+/).filter(Boolean);
+        const comparators = [];
+        
+        for (const term of terms.length > 0 ? terms : ['*']) {
+            const parsed = parseRangeTerm(term);
+            if (!parsed) return null;
+            comparators.push(...parsed);
+        }
+        alternatives.push(comparators);
+    }
+    
+    return alternatives;
+}
+
+/**
+ * Check if a version falls inside a range (see parseRange)
+ * Pre-releases are compared by plain precedence, so "^1.0.0" accepts "1.1.0-beta"
+ * @param {string|Object} version - Version string or parsed version
+ * @param {string} range - Range, e.g. "^1.2.0"
+ * @returns {boolean|null} null if the version or the range is invalid
+ */
+export function satisfiesSemver(version, range) {
+    const parsed = typeof version === 'string' ? parseSemver(version) : version;
+    const alternatives = parseRange(range);
+    if (!parsed || !alternatives) return null;
+    
+    return alternatives.some(comparators => comparators.every(({ operator, version: bound }) => {
+        const order = compareSemver(parsed, bound);
+        switch (operator) {
+            case '=': return order === 0;
+            case '>': return order > 0;
+            case '>=': return order >= 0;
+            case '<': return order < 0;
+            case '<=': return order <= 0;
+        }
+    }));
+}
@@ -0,0 +1,247 @@
+// Session Store - IndexedDB persistence for processed mods
+// Keeps the full session (including zip bytes) so a reload can restore it
+
+import { ValidationResult } from './validation.mjs';
+import { parseDiagnostics, filterBySeverity } from './diagnostics.mjs';
+
+const DB_NAME = 'modAnalyzer';
+const DB_VERSION = 1;
+const MODS_STORE = 'mods';
+const STATE_STORE = 'state';
+const SESSION_KEY = 'session';
+
+// Fraction of the origin quota we allow the session to use before evicting zip bytes
+const QUOTA_USAGE_LIMIT = 0.8;
+
+// Runtime-only fields that are rebuilt after a restore and must never be persisted
+const TRANSIENT_FIELDS = ['zipArchive', 'tabsInitialized', 'persisted'];
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Check if an error was caused by running out of storage quota
+ */
+function isQuotaError(error) {
+    return error?.name === 'QuotaExceededError' || error?.code === 22;
+}
+
+/**
+ * Convert a mod object into a structured-clone friendly record
+ * @param {Object} mod - Processed mod data
+ * @returns {Object} Record safe to store in IndexedDB
+ */
+export function serializeMod(mod) {
+    const record = {};
+    for (const [key, value] of Object.entries(mod)) {
+        if (!TRANSIENT_FIELDS.includes(key)) {
+            record[key] = value;
+        }
+    }
+    
+    // ValidationResult loses its prototype when cloned - only the issues and profile are needed to rebuild it
+    if (mod.validationResult) {
+        record.validationResult = { issues: mod.validationResult.issues, profile: mod.validationResult.profile };
+    }
+    
+    return record;
+}
+
+/**
+ * Rebuild a mod object from a stored record
+ * @param {Object} record - Record read from IndexedDB
+ * @returns {Object} Mod data ready to be used by the tabs
+ */
+export function deserializeMod(record) {
+    const mod = { ...record };
+    
+    if (record.validationResult) {
+        mod.validationResult = new ValidationResult(record.validationResult.issues || [], record.validationResult.profile || null);
+    }
+    
+    // Sessions saved before diagnostics existed kept a flat list of stderr lines instead
+    if (!record.diagnostics) {
+        mod.diagnostics = record.errors?.length ? parseDiagnostics(record.result?.stderr) : [];
+        mod.errorCategories = { ...record.errorCategories, stderr: filterBySeverity(mod.diagnostics, 'error') };
+        delete mod.errors;
+        delete mod.errorsByFile;
+    }
+    
+    // Already on disk, nothing to write until it changes
+    mod.persisted = true;
+    
+    return mod;
+}
+
+export class SessionStore {
+    constructor() {
+        this.db = null;
+        this.available = typeof indexedDB !== 'undefined';
+    }
+    
+    /**
+     * Open (and create if needed) the session database
+     * @returns {Promise<IDBDatabase>}
+     */
+    async open() {
+        if (this.db) return this.db;
+        if (!this.available) {
+            throw new Error('IndexedDB is not available in this browser');
+        }
+        
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(MODS_STORE)) {
+                db.createObjectStore(MODS_STORE, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(STATE_STORE)) {
+                db.createObjectStore(STATE_STORE);
+            }
+        };
+        
+        this.db = await requestToPromise(request);
+        
+        // Ask the browser not to clear our data under storage pressure (best effort)
+        navigator.storage?.persist?.().catch(() => {});
+        
+        return this.db;
+    }
+    
+    /**
+     * Run a callback against an object store and wait for the transaction to finish
+     */
+    async withStore(storeName, mode, callback) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const store = transaction.objectStore(storeName);
+            let result;
+            
+            Promise.resolve(callback(store))
+                .then(value => { result = value; })
+                .catch(reject);
+            
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+    
+    /**
+     * Store a single mod, evicting old zip bytes if the quota is exceeded
+     * @param {Object} mod - Processed mod data
+     */
+    async putMod(mod) {
+        const record = serializeMod(mod);
+        await this.ensureSpace(record.fileData?.byteLength || 0, mod.id);
+        
+        try {
+            await this.withStore(MODS_STORE, 'readwrite', store => store.put(record));
+        } catch (error) {
+            if (!isQuotaError(error)) throw error;
+            
+            // Estimates can lag behind reality - evict harder and try once more
+            await this.evictFileData(record.fileData?.byteLength || 0, mod.id);
+            await this.withStore(MODS_STORE, 'readwrite', store => store.put(record));
+        }
+    }
+    
+    /**
+     * Remove a single mod record
+     * @param {*} id - Mod id
+     */
+    async deleteMod(id) {
+        await this.withStore(MODS_STORE, 'readwrite', store => store.delete(id));
+    }
+    
+    /**
+     * Read every stored mod
+     * @returns {Promise<Array<Object>>} Deserialized mods (unordered)
+     */
+    async getMods() {
+        const records = await this.withStore(MODS_STORE, 'readonly', store => requestToPromise(store.getAll()));
+        return (records || []).map(deserializeMod);
+    }
+    
+    /**
+     * Store the session layout (mod order, selection, active tabs)
+     * @param {Object} state - Session state
+     */
+    async putState(state) {
+        await this.withStore(STATE_STORE, 'readwrite', store => store.put(state, SESSION_KEY));
+    }
+    
+    /**
+     * Read the session layout
+     * @returns {Promise<Object|null>}
+     */
+    async getState() {
+        const state = await this.withStore(STATE_STORE, 'readonly', store => requestToPromise(store.get(SESSION_KEY)));
+        return state || null;
+    }
+    
+    /**
+     * Remove all mods and session state
+     */
+    async clear() {
+        await this.withStore(MODS_STORE, 'readwrite', store => store.clear());
+        await this.withStore(STATE_STORE, 'readwrite', store => store.clear());
+    }
+    
+    /**
+     * Make room for an incoming write if it would push usage over the limit
+     * @param {number} bytesNeeded - Size of the data about to be written
+     * @param {*} keepId - Mod id that must not be evicted (the one being written)
+     */
+    async ensureSpace(bytesNeeded, keepId = null) {
+        const estimate = await navigator.storage?.estimate?.().catch(() => null);
+        if (!estimate || !estimate.quota) return;
+        
+        const limit = estimate.quota * QUOTA_USAGE_LIMIT;
+        const overflow = (estimate.usage || 0) + bytesNeeded - limit;
+        if (overflow > 0) {
+            await this.evictFileData(overflow, keepId);
+        }
+    }
+    
+    /**
+     * Drop zip bytes from the oldest mods until enough space is freed
+     * Analysis results are kept so evicted mods still show up in the list
+     * @param {number} bytesToFree - Minimum number of bytes to release
+     * @param {*} keepId - Mod id that must not be evicted
+     * @returns {Promise<Array>} Ids of mods whose zip bytes were evicted
+     */
+    async evictFileData(bytesToFree, keepId = null) {
+        const records = await this.withStore(MODS_STORE, 'readonly', store => requestToPromise(store.getAll()));
+        const candidates = (records || [])
+            .filter(record => record.id !== keepId && record.fileData)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        
+        const evicted = [];
+        let freed = 0;
+        
+        for (const record of candidates) {
+            if (freed >= bytesToFree) break;
+            
+            freed += record.fileData.byteLength || 0;
+            record.fileData = null;
+            record.fileDataEvicted = true;
+            await this.withStore(MODS_STORE, 'readwrite', store => store.put(record));
+            evicted.push(record.id);
+        }
+        
+        if (evicted.length > 0) {
+            console.warn(`Storage quota reached - evicted zip data for ${evicted.length} mod(s)`);
+        }
+        
+        return evicted;
+    }
+}
@@ -20,6 +20,46 @@ function escapeAttribute(str) {
               .replace(/>/g, '&gt;');
 }
 
+/**
+ * Identify an element under root so it can be found again after a re-render
+ * Uses the id if it has one, otherwise its first class and position among matches
+ */
+function getElementKey(root, element) {
+    if (element === root) return null;
+    
+    const selector = element.id
+        ? `#${CSS.escape(element.id)}`
+        : element.classList.length > 0 ? `.${CSS.escape(element.classList[0])}` : element.tagName.toLowerCase();
+    
+    return { selector, index: Array.from(root.querySelectorAll(selector)).indexOf(element) };
+}
+
+/**
+ * Record the scroll offsets of root and every scrolled element inside it
+ */
+function captureScrollPositions(root) {
+    if (!root) return [];
+    
+    return [root, ...root.querySelectorAll('*')]
+        .filter(element => element.scrollTop > 0 || element.scrollLeft > 0)
+        .map(element => ({ key: getElementKey(root, element), top: element.scrollTop, left: element.scrollLeft }));
+}
+
+/**
+ * Apply scroll offsets recorded with captureScrollPositions
+ */
+function restoreScrollPositions(root, positions = []) {
+    if (!root) return;
+    
+    for (const { key, top, left } of positions) {
+        const element = key ? root.querySelectorAll(key.selector)[key.index] : root;
+        if (element) {
+            element.scrollTop = top;
+            element.scrollLeft = left;
+        }
+    }
+}
+
 export default class BaseTab {
     constructor() {
         this.container = null;
@@ -27,6 +67,7 @@ export default class BaseTab {
         this.zipArchive = null;
         this.needsRender = false;
         this.luaMetadata = null; // Store metadata for tooltips
+        this.pendingViewState = null; // View to restore the next time the tab is shown
     }
     
     /**
@@ -193,6 +234,32 @@ export default class BaseTab {
         }
     }
     
+    /**
+     * Called when mods across the session changed without the selection changing (e.g. re-validated)
+     * The current mod keeps its place; subclasses with session-wide views override this to pick up the changes
+     * @param {Array<Object>} mods - Every processed mod
+     */
+    onSessionChanged(mods) {
+        this.needsRender = true;
+    }
+    
+    /**
+     * Capture what the user is looking at, so a refresh of the same mod can put it back
+     * Subclasses extend this with their own state (selected file, graph zoom)
+     * @returns {Object} View state
+     */
+    getViewState() {
+        return { scroll: captureScrollPositions(this.container) };
+    }
+    
+    /**
+     * Restore a view state from getViewState once the tab has rendered the refreshed mod
+     * @param {Object} state - View state
+     */
+    async restoreViewState(state) {
+        restoreScrollPositions(this.container, state?.scroll);
+    }
+    
     /**
      * Render the tab content
      * Subclasses must override this
@@ -0,0 +1,529 @@
+// Compare Tab - Diffs analyzer versions for the current mod, or the whole session as a matrix
+
+import BaseTab from './base-tab.mjs';
+import { WorkerPool, getPoolSize } from '../worker-pool.mjs';
+import { loadPreferences } from '../preferences.mjs';
+import { diffLines, diffObjects, diffSets } from '../utils/diff-utils.mjs';
+import { escapeHtml } from '../utils/html-utils.mjs';
+import { exportMatrixToCSV, exportMatrixToJSON } from './utilities/data-exporter.mjs';
+import * as parser from '../parser.mjs';
+import { filterBySeverity } from '../diagnostics.mjs';
+
+// Parsed fields worth comparing (data, stdout and stderr are diffed separately)
+const COMPARED_FIELDS = ['valid', 'id', 'uuid', 'game', 'name', 'description', 'version', 'category', 'path', 'bytes'];
+
+// Keep very large data diffs from flooding the DOM
+const MAX_DATA_CHANGES = 500;
+
+// Higher is worse - used to tell regressions from improvements between versions
+const STATUS_RANK = {
+    'success': 0,
+    'validation-failed': 1,
+    'failed': 2,
+    'cancelled': 2
+};
+
+/**
+ * Short single-line representation of a JSON value for diff rows
+ */
+function formatValue(value) {
+    if (value === undefined) return '';
+    const text = JSON.stringify(value);
+    return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+}
+
+export default class CompareTab extends BaseTab {
+    constructor(app) {
+        super();
+        this.app = app; // Needed to build mod data the same way as the main pipeline
+        this.comparisons = new Map(); // mod id -> { versionA, versionB, modA, modB }
+        this.isComparing = false;
+        this.versions = [];
+        this.matrix = null; // { versions, rows, generatedAt }
+        this.matrixProgress = null;
+        this.sessionContainer = null;
+    }
+    
+    async init(container) {
+        // Container is the first panel (current file) - the session matrix has its own
+        await super.init(container);
+        this.sessionContainer = document.querySelector('#sub-tab-compare-session .tab-panel');
+        
+        this.container.innerHTML = `
+            <div class="compare-view">
+                <div class="compare-header">
+                    <h2>Compare Analyzer Versions</h2>
+                    <div class="compare-actions">
+                        <select id="compare-version-a" class="compare-select" title="Baseline version"></select>
+                        <span class="compare-vs">vs</span>
+                        <select id="compare-version-b" class="compare-select" title="Version to compare against the baseline"></select>
+                        <button id="run-compare" class="btn">Compare</button>
+                    </div>
+                </div>
+                <div id="compare-content" class="compare-content"></div>
+            </div>
+        `;
+        
+        this.sessionContainer.innerHTML = `
+            <div class="compare-view">
+                <div class="compare-header">
+                    <h2>Regression Matrix</h2>
+                    <div class="compare-actions">
+                        <button id="run-matrix" class="btn">Run session against all versions</button>
+                        <button id="export-matrix-csv" class="btn btn-secondary">Export CSV</button>
+                        <button id="export-matrix-json" class="btn btn-secondary">Export JSON</button>
+                    </div>
+                </div>
+                <div id="matrix-content" class="compare-content"></div>
+            </div>
+        `;
+        
+        this.container.querySelector('#run-compare')?.addEventListener('click', () => this.runComparison());
+        this.sessionContainer.querySelector('#run-matrix')?.addEventListener('click', () => this.runMatrix());
+        this.sessionContainer.querySelector('#export-matrix-csv')?.addEventListener('click', () => this.exportMatrix('csv'));
+        this.sessionContainer.querySelector('#export-matrix-json')?.addEventListener('click', () => this.exportMatrix('json'));
+        this.render();
+    }
+    
+    /**
+     * Fill the version pickers (versions are sorted newest first)
+     * @param {Array<string>} versions - Available analyzer versions
+     */
+    setVersions(versions) {
+        this.versions = versions;
+        const options = versions.map(v => `<option value="${escapeHtml(v)}">${escapeHtml(v)}</option>`).join('');
+        const selectA = this.container.querySelector('#compare-version-a');
+        const selectB = this.container.querySelector('#compare-version-b');
+        
+        selectA.innerHTML = options;
+        selectB.innerHTML = options;
+        
+        // Default to previous release vs latest - the usual "did anything regress" question
+        selectA.value = versions[1] || versions[0];
+        selectB.value = versions[0];
+    }
+    
+    /**
+     * Run the current mod through both selected versions
+     */
+    async runComparison() {
+        const mod = this.currentMod;
+        if (!mod) return;
+        
+        if (!mod.fileData) {
+            alert('The zip data for this mod is no longer available - re-add the file to compare versions');
+            return;
+        }
+        
+        const versionA = this.container.querySelector('#compare-version-a').value;
+        const versionB = this.container.querySelector('#compare-version-b').value;
+        
+        if (versionA === versionB) {
+            alert('Select two different analyzer versions to compare');
+            return;
+        }
+        
+        const button = this.container.querySelector('#run-compare');
+        this.isComparing = true;
+        button.disabled = true;
+        this.setContent(`<div class="empty-state">Analyzing ${escapeHtml(mod.fileName)} with ${escapeHtml(versionA)} and ${escapeHtml(versionB)}...</div>`);
+        
+        try {
+            const [modA, modB] = await Promise.all([
+                this.analyzeWithVersion(mod, versionA),
+                this.analyzeWithVersion(mod, versionB)
+            ]);
+            
+            this.comparisons.set(mod.id, { versionA, versionB, modA, modB });
+        } finally {
+            this.isComparing = false;
+            button.disabled = false;
+        }
+        
+        // The user may have selected another mod while this was running
+        if (this.currentMod === mod) {
+            this.render();
+        }
+    }
+    
+    /**
+     * Analyze a mod with a specific version in its own temporary worker
+     * The main pool is left alone so it keeps the version picked in the header
+     */
+    async analyzeWithVersion(mod, version) {
+        const pool = new WorkerPool(1, this.app.workerPool.modules);
+        const options = this.app.getAnalyzerOptionValues(version);
+        const source = { id: mod.id, fileName: mod.fileName, fileSize: mod.fileSize, fileData: mod.fileData, options };
+        
+        try {
+            await pool.init(version);
+            
+            // One-off run - allow the longer retry timeout straight away
+            const { workerTimeout, timeoutRetryMultiplier } = loadPreferences();
+            const result = await pool.run('process', {
+                fileName: mod.fileName,
+                fileSize: mod.fileSize,
+                fileData: mod.fileData,
+                options
+            }, { timeout: workerTimeout * timeoutRetryMultiplier });
+            
+            return this.app.buildModData(source, result);
+        } catch (error) {
+            console.error(`Compare run with ${version} failed:`, error);
+            return this.app.buildFailedModData(source, error);
+        } finally {
+            pool.terminate();
+            this.app.renderVersionCacheStatus();
+        }
+    }
+    
+    render() {
+        if (!this.container) return;
+        
+        this.renderMatrix();
+        
+        if (!this.currentMod) {
+            this.setContent('<div class="empty-state">No mod selected. Process a mod to compare analyzer versions.</div>');
+            return;
+        }
+        
+        if (this.isComparing) return;
+        
+        const comparison = this.comparisons.get(this.currentMod.id);
+        if (!comparison) {
+            this.setContent(`<div class="empty-state">Pick two analyzer versions and press Compare to diff ${escapeHtml(this.currentMod.fileName)}.</div>`);
+            return;
+        }
+        
+        this.setContent(this.renderComparison(comparison));
+    }
+    
+    setContent(html) {
+        const content = this.container.querySelector('#compare-content');
+        if (content) {
+            content.innerHTML = html;
+        }
+    }
+    
+    renderComparison({ versionA, versionB, modA, modB }) {
+        return `
+            ${this.renderOverview(versionA, versionB, modA, modB)}
+            ${this.renderParsedDiff(versionA, versionB, modA, modB)}
+            ${this.renderStderrDiff(modA, modB)}
+            ${this.renderValidationDiff(modA, modB)}
+            ${this.renderDataDiff(modA, modB)}
+        `;
+    }
+    
+    renderOverview(versionA, versionB, modA, modB) {
+        const row = (label, a, b, highlight = true) => `
+            <tr class="${highlight && a !== b ? 'diff-changed' : ''}">
+                <td class="compare-field">${label}</td>
+                <td>${escapeHtml(String(a))}</td>
+                <td>${escapeHtml(String(b))}</td>
+            </tr>
+        `;
+        
+        return `
+            <div class="compare-section">
+                <h3>Overview</h3>
+                <table class="compare-table">
+                    <thead><tr><th></th><th>${escapeHtml(versionA)}</th><th>${escapeHtml(versionB)}</th></tr></thead>
+                    <tbody>
+                        ${row('Status', modA.status, modB.status)}
+                        ${row('Stderr Errors', filterBySeverity(modA.diagnostics, 'error').length, filterBySeverity(modB.diagnostics, 'error').length)}
+                        ${row('Validation Issues', modA.validationResult.issues.length, modB.validationResult.issues.length)}
+                        ${row('Processing Time', parser.formatDuration(modA.processingTime || 0), parser.formatDuration(modB.processingTime || 0), false)}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+    
+    renderParsedDiff(versionA, versionB, modA, modB) {
+        const changed = COMPARED_FIELDS.filter(field => formatValue(modA.parsed?.[field]) !== formatValue(modB.parsed?.[field]));
+        
+        const rows = COMPARED_FIELDS.map(field => `
+            <tr class="${changed.includes(field) ? 'diff-changed' : ''}">
+                <td class="compare-field">${field}</td>
+                <td>${escapeHtml(formatValue(modA.parsed?.[field]))}</td>
+                <td>${escapeHtml(formatValue(modB.parsed?.[field]))}</td>
+            </tr>
+        `).join('');
+        
+        return `
+            <div class="compare-section">
+                <h3>Parsed Fields ${this.renderChangeCount(changed.length)}</h3>
+                <table class="compare-table">
+                    <thead><tr><th>Field</th><th>${escapeHtml(versionA)}</th><th>${escapeHtml(versionB)}</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+    
+    renderStderrDiff(modA, modB) {
+        const lines = diffLines(modA.result?.stderr || '', modB.result?.stderr || '');
+        const changes = lines.filter(l => l.type !== 'same').length;
+        
+        const prefix = { same: ' ', added: '+', removed: '-' };
+        const body = lines.length === 0
+            ? '<div class="empty-state">No stderr output from either version</div>'
+            : `<pre class="diff-lines">${lines.map(l =>
+                `<div class="diff-line diff-${l.type}">${prefix[l.type]} ${escapeHtml(l.line)}</div>`
+            ).join('')}</pre>`;
+        
+        return `
+            <div class="compare-section">
+                <h3>Stderr ${this.renderChangeCount(changes)}</h3>
+                ${body}
+            </div>
+        `;
+    }
+    
+    renderValidationDiff(modA, modB) {
+        const key = issue => `${issue.severity}|${issue.field}|${issue.message}`;
+        const { added, removed, unchanged } = diffSets(modA.validationResult.issues, modB.validationResult.issues, key);
+        
+        const item = (issue, type) => `
+            <div class="diff-line diff-${type}">
+                ${type === 'added' ? '+' : type === 'removed' ? '-' : ' '}
+                [${escapeHtml(issue.severity)}] ${escapeHtml(issue.field)}: ${escapeHtml(issue.message)}
+            </div>
+        `;
+        
+        const items = [
+            ...removed.map(issue => item(issue, 'removed')),
+            ...added.map(issue => item(issue, 'added')),
+            ...unchanged.map(issue => item(issue, 'same'))
+        ];
+        
+        return `
+            <div class="compare-section">
+                <h3>Validation Issues ${this.renderChangeCount(added.length + removed.length)}</h3>
+                ${items.length ? `<div class="diff-lines">${items.join('')}</div>` : '<div class="empty-state">No validation issues in either version</div>'}
+            </div>
+        `;
+    }
+    
+    renderDataDiff(modA, modB) {
+        const changes = diffObjects(modA.result?.data ?? null, modB.result?.data ?? null);
+        const shown = changes.slice(0, MAX_DATA_CHANGES);
+        
+        const rows = shown.map(change => `
+            <tr class="diff-${change.type}">
+                <td class="compare-field">${escapeHtml(change.path || '(root)')}</td>
+                <td>${escapeHtml(formatValue(change.before))}</td>
+                <td>${escapeHtml(formatValue(change.after))}</td>
+            </tr>
+        `).join('');
+        
+        const truncated = changes.length > shown.length
+            ? `<div class="compare-note">Showing first ${shown.length} of ${changes.length} changes</div>`
+            : '';
+        
+        return `
+            <div class="compare-section">
+                <h3>Result Data ${this.renderChangeCount(changes.length)}</h3>
+                ${changes.length === 0 ? '<div class="empty-state">Result data is identical</div>' : `
+                    <table class="compare-table">
+                        <thead><tr><th>Path</th><th>Before</th><th>After</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                    ${truncated}
+                `}
+            </div>
+        `;
+    }
+    
+    renderChangeCount(count) {
+        return count === 0
+            ? '<span class="compare-badge">identical</span>'
+            : `<span class="compare-badge changed">${count} change${count === 1 ? '' : 's'}</span>`;
+    }
+    
+    /**
+     * Re-run every mod in the session against every analyzer version
+     * Uses one temporary pool and switches its version between passes
+     */
+    async runMatrix() {
+        const mods = this.app.processedMods.filter(mod => mod.fileData);
+        if (mods.length === 0) {
+            alert('No mods with zip data in this session - process some mods first');
+            return;
+        }
+        
+        // Oldest first so adjacent columns read as "what changed in this release"
+        const versions = [...this.versions].reverse();
+        const button = this.sessionContainer.querySelector('#run-matrix');
+        button.disabled = true;
+        
+        const rows = mods.map(mod => ({ modId: mod.id, fileName: mod.fileName, cells: {}, changes: [] }));
+        const pool = new WorkerPool(Math.min(getPoolSize(), mods.length), this.app.workerPool.modules);
+        const { workerTimeout, timeoutRetryMultiplier } = loadPreferences();
+        
+        // Failed runs keep their error so the cell can say why. Stderr errors are counted once: the
+        // validator on the "errors" field only summarizes the diagnostics already counted
+        const toCell = (modData, error = null) => ({
+            status: modData.status,
+            errorCount: filterBySeverity(modData.diagnostics, 'error').length
+                + modData.validationErrors.filter(issue => issue.field !== 'errors').length,
+            ...(error && { error: error.message })
+        });
+        
+        let poolStarted = false;
+        try {
+            for (const [index, version] of versions.entries()) {
+                this.matrixProgress = { version, done: 0, total: mods.length, pass: index + 1, passes: versions.length };
+                this.renderMatrix();
+                
+                // Each version runs with the options saved for it
+                const options = this.app.getAnalyzerOptionValues(version);
+                const sourceOf = mod => ({ id: mod.id, fileName: mod.fileName, fileSize: mod.fileSize, fileData: mod.fileData, options });
+                
+                // A version that won't load fails its own column - the other versions still run
+                try {
+                    if (poolStarted) {
+                        await pool.switchVersion(version);
+                    } else {
+                        await pool.init(version);
+                        poolStarted = true;
+                    }
+                } catch (error) {
+                    console.error(`Regression matrix could not load ${version}:`, error);
+                    mods.forEach((mod, i) => {
+                        rows[i].cells[version] = toCell(this.app.buildFailedModData(sourceOf(mod), error), error);
+                    });
+                    continue;
+                }
+                
+                await Promise.all(mods.map(async (mod, i) => {
+                    const source = sourceOf(mod);
+                    try {
+                        const result = await pool.run('process', {
+                            fileName: mod.fileName,
+                            fileSize: mod.fileSize,
+                            fileData: mod.fileData,
+                            options
+                        }, { timeout: workerTimeout * timeoutRetryMultiplier });
+                        rows[i].cells[version] = toCell(this.app.buildModData(source, result));
+                    } catch (error) {
+                        rows[i].cells[version] = toCell(this.app.buildFailedModData(source, error), error);
+                    }
+                    
+                    this.matrixProgress.done++;
+                    this.renderMatrix();
+                }));
+            }
+            
+            // Record every status change between adjacent versions
+            for (const row of rows) {
+                for (let i = 1; i < versions.length; i++) {
+                    const before = row.cells[versions[i - 1]]?.status;
+                    const after = row.cells[versions[i]]?.status;
+                    if (before && after && before !== after) {
+                        row.changes.push({ from: versions[i - 1], to: versions[i], before, after });
+                    }
+                }
+            }
+            
+            this.matrix = { versions, rows, generatedAt: new Date().toISOString() };
+        } catch (error) {
+            console.error('Regression matrix failed:', error);
+            alert('Failed to run regression matrix: ' + error.message);
+        } finally {
+            pool.terminate();
+            this.app.renderVersionCacheStatus();
+            this.matrixProgress = null;
+            button.disabled = false;
+            this.renderMatrix();
+        }
+    }
+    
+    renderMatrix() {
+        const content = this.sessionContainer?.querySelector('#matrix-content');
+        if (!content) return;
+        
+        if (this.matrixProgress) {
+            const { version, done, total, pass, passes } = this.matrixProgress;
+            content.innerHTML = `<div class="empty-state">Running ${escapeHtml(version)} (${pass}/${passes}): ${done}/${total} mods...</div>`;
+            return;
+        }
+        
+        if (!this.matrix) {
+            content.innerHTML = '<div class="empty-state">Run the session against all analyzer versions to see which mods change status between releases.</div>';
+            return;
+        }
+        
+        const { versions, rows } = this.matrix;
+        const changedRows = rows.filter(row => row.changes.length > 0).length;
+        
+        const cell = (row, version, index) => {
+            const result = row.cells[version];
+            if (!result) return '<td class="matrix-cell">-</td>';
+            
+            // Compare against the previous column
+            const previous = index > 0 ? row.cells[versions[index - 1]] : null;
+            let changeClass = '';
+            if (previous && previous.status !== result.status) {
+                changeClass = STATUS_RANK[result.status] > STATUS_RANK[previous.status]
+                    ? 'matrix-changed matrix-regressed'
+                    : 'matrix-changed matrix-improved';
+            }
+            
+            const title = (previous ? `${previous.status} -> ${result.status}` : result.status) + (result.error ? `\n${result.error}` : '');
+            
+            return `
+                <td class="matrix-cell ${changeClass}" title="${escapeHtml(title)}">
+                    <span class="matrix-status ${escapeHtml(result.status)}">${escapeHtml(result.status)}</span>
+                    <span class="matrix-errors">${result.errorCount} error${result.errorCount === 1 ? '' : 's'}</span>
+                </td>
+            `;
+        };
+        
+        content.innerHTML = `
+            <div class="compare-section">
+                <h3>${rows.length} mods x ${versions.length} versions ${this.renderChangeCount(changedRows)}</h3>
+                <div class="matrix-scroll">
+                    <table class="compare-table matrix-table">
+                        <thead>
+                            <tr>
+                                <th>Mod</th>
+                                ${versions.map(v => `<th>${escapeHtml(v)}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(row => `
+                                <tr>
+                                    <td class="compare-field" title="${escapeHtml(row.fileName)}">${escapeHtml(row.fileName)}</td>
+                                    ${versions.map((v, i) => cell(row, v, i)).join('')}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+    
+    exportMatrix(format) {
+        if (!this.matrix) {
+            alert('Run the regression matrix first');
+            return;
+        }
+        
+        if (format === 'csv') {
+            this.downloadFile('regression-matrix.csv', exportMatrixToCSV(this.matrix), 'text/csv');
+        } else {
+            this.downloadFile('regression-matrix.json', exportMatrixToJSON(this.matrix), 'application/json');
+        }
+    }
+    
+    clear() {
+        this.currentMod = null;
+        this.zipArchive = null;
+        this.comparisons.clear();
+        this.matrix = null;
+        this.render();
+    }
+}
@@ -2,8 +2,12 @@
 
 import * as parser from '../parser.mjs';
 import BaseTab from './base-tab.mjs';
+import { resolveDependencies, countByStatus, DEPENDENCY_STATUS } from '../dependency-resolver.mjs';
 import { createElement } from '../utils/html-utils.mjs';
 
+// Dependency states from least to most severe
+const STATUS_ORDER = ['resolved', 'mismatch', 'missing'];
+
 export default class DependenciesTab extends BaseTab {
     constructor(app = null) {
         super();
@@ -125,6 +129,18 @@ export default class DependenciesTab extends BaseTab {
         }
     }
     
+    onSessionChanged(mods) {
+        super.onSessionChanged(mods);
+        
+        // The graph colours nodes by status, so refresh its copies of the mods
+        for (const mod of mods) {
+            const existing = this.sessionMods.find(m => m.id === mod.id);
+            if (existing && existing !== mod) {
+                Object.assign(existing, mod);
+            }
+        }
+    }
+    
     render() {
         // Render both views
         this.renderFileDeps();
@@ -244,10 +260,10 @@ export default class DependenciesTab extends BaseTab {
             return this.fileTreeCache.get(cacheKey);
         }
         
-        // Extract missing files from stderr errors
+        // Extract missing files from stderr diagnostics
         const missingFiles = new Set();
-        if (mod.errors) {
-            mod.errors.forEach(error => {
+        if (mod.diagnostics) {
+            mod.diagnostics.forEach(error => {
                 // Look for "Script missing: filename" errors
                 const match = error.message.match(/Script missing:\s*([^\s.]+(?:\.[^.\s]+)?)/);
                 if (match) {
@@ -392,6 +408,9 @@ export default class DependenciesTab extends BaseTab {
         const links = [];
         const nodeMap = new Map();
         
+        // Dependencies resolve against everything loaded, even in the single file view
+        const sessionMods = this.app?.processedMods || this.sessionMods;
+        
         // Process mods asynchronously
         const processModsAsync = async () => {
             for (const mod of modsToProcess) {
@@ -399,37 +418,45 @@ export default class DependenciesTab extends BaseTab {
                 
                 const deps = parser.extractDependencies(mod.parsed);
                 
-                // Add main mod node
+                // Add main mod node (replacing the package node of a mod that depends on it)
+                const modNode = {
+                    id: deps.packageId,
+                    name: mod.parsed.name,
+                    category: mod.parsed.category,
+                    type: 'mod',
+                    hasData: true
+                };
                 if (!nodeMap.has(deps.packageId)) {
-                    const node = {
-                        id: deps.packageId,
-                        name: mod.parsed.name,
-                        category: mod.parsed.category,
-                        type: 'mod',
-                        hasData: true
-                    };
-                    nodes.push(node);
-                    nodeMap.set(deps.packageId, node);
+                    nodes.push(modNode);
+                    nodeMap.set(deps.packageId, modNode);
+                } else if (nodeMap.get(deps.packageId).type === 'package') {
+                    Object.assign(nodeMap.get(deps.packageId), modNode);
                 }
                 
-                // Add package dependency nodes and links
-                deps.dependencies.forEach(depId => {
-                    if (!nodeMap.has(depId)) {
+                // Add package dependency nodes and links, marked resolved, mismatch or missing
+                resolveDependencies(mod, sessionMods).forEach(dependency => {
+                    if (!nodeMap.has(dependency.id)) {
                         const node = {
-                            id: depId,
-                            name: depId,
+                            id: dependency.id,
+                            name: dependency.provider?.parsed.name || dependency.id,
                             category: 'external',
                             type: 'package',
                             hasData: false
                         };
                         nodes.push(node);
-                        nodeMap.set(depId, node);
+                        nodeMap.set(dependency.id, node);
                     }
                     
+                    const target = nodeMap.get(dependency.id);
+                    target.requirements = target.requirements || [];
+                    target.requirements.push(`${mod.parsed.name}: ${dependency.constraint || 'any version'} (${dependency.message})`);
+                    
                     links.push({
                         source: deps.packageId,
-                        target: depId,
-                        type: 'package-dependency'
+                        target: dependency.id,
+                        type: 'package-dependency',
+                        status: dependency.status,
+                        constraint: dependency.constraint
                     });
                 });
                 
@@ -485,6 +512,15 @@ export default class DependenciesTab extends BaseTab {
                 }
             }
             
+            // A required node shows the worst state any link to it ended up in - set once every mod is in,
+            // so it's the same whether the providing mod was loaded before or after the mods requiring it
+            links.filter(link => link.type === 'package-dependency').forEach(link => {
+                const target = nodeMap.get(link.target);
+                if (STATUS_ORDER.indexOf(link.status) > STATUS_ORDER.indexOf(target.status)) {
+                    target.status = link.status;
+                }
+            });
+            
             // Detect circular dependencies
             const cycles = this.detectCycles(nodes, links);
             
@@ -610,10 +646,16 @@ export default class DependenciesTab extends BaseTab {
                 // Different colors for different link types
                 if (d.type === 'contains') return 'var(--text-secondary)';
                 if (d.type === 'file-include') return 'var(--success-color)';
+                if (d.status === 'mismatch') return 'var(--warning-color)';
+                if (d.status === 'missing') return 'var(--text-secondary)';
                 return 'var(--primary-color)';
             })
             .attr('stroke-width', d => d.type === 'contains' ? 1 : 2)
-            .attr('stroke-dasharray', d => d.type === 'contains' ? '5,5' : null)
+            .attr('stroke-dasharray', d => {
+                if (d.type === 'contains') return '5,5';
+                if (d.status === 'missing') return '2,4';
+                return null;
+            })
             .attr('marker-end', 'url(#arrowhead)');
         
         // Add arrowhead marker
@@ -644,6 +686,8 @@ export default class DependenciesTab extends BaseTab {
                 if (cycleNodes.has(d.id)) return 'var(--error-color)';
                 if (d.missing) return 'var(--warning-color)';
                 if (d.type === 'file') return 'var(--success-color)';
+                if (d.status === 'mismatch') return 'var(--warning-color)';
+                if (d.status === 'resolved') return 'var(--primary-color)';
                 if (!d.hasData) return 'var(--text-secondary)';
                 return 'var(--primary-color)';
             })
@@ -675,7 +719,11 @@ export default class DependenciesTab extends BaseTab {
                     if (d.circular) info += `\nStatus: Circular include detected`;
                     return info;
                 }
-                return `${d.name}\nID: ${d.id}\nCategory: ${d.category}\nType: ${d.type}`;
+                if (d.type === 'package') {
+                    return `${d.name}\nID: ${d.id}\nStatus: ${DEPENDENCY_STATUS[d.status].label}\nRequired by:\n${d.requirements.join('\n')}`;
+                }
+                const requiredBy = d.requirements ? `\nRequired by:\n${d.requirements.join('\n')}` : '';
+                return `${d.name}\nID: ${d.id}\nCategory: ${d.category}\nType: ${d.type}${requiredBy}`;
             });
         
         // Update positions on tick
@@ -691,9 +739,9 @@ export default class DependenciesTab extends BaseTab {
         
         // Store graph for this mode
         if (mode === 'file') {
-            this.fileGraph = { svg, simulation, nodes, links, cycles };
+            this.fileGraph = { svg, simulation, nodes, links, cycles, zoom };
         } else {
-            this.sessionGraph = { svg, simulation, nodes, links, cycles };
+            this.sessionGraph = { svg, simulation, nodes, links, cycles, zoom };
         }
         
         // Display info
@@ -714,6 +762,7 @@ export default class DependenciesTab extends BaseTab {
         const modNodes = nodes.filter(n => n.type === 'mod' || n.type === 'package');
         const fileNodes = nodes.filter(n => n.type === 'file');
         const externalNodes = nodes.filter(n => !n.hasData && n.type !== 'file').length;
+        const dependencyCounts = countByStatus(links.filter(l => l.type === 'package-dependency'));
         const missingFiles = fileNodes.filter(n => n.missing).length;
         
         // Calculate max tree depth
@@ -743,6 +792,10 @@ export default class DependenciesTab extends BaseTab {
                 <div class="info-item">
                     <strong>External Dependencies:</strong> ${externalNodes}
                 </div>
+                <div class="info-item ${dependencyCounts.missing > 0 ? 'error' : dependencyCounts.mismatch > 0 ? 'warning' : 'success'}">
+                    <strong>Dependencies:</strong>
+                    ${STATUS_ORDER.map(status => `${DEPENDENCY_STATUS[status].icon} ${dependencyCounts[status]} ${DEPENDENCY_STATUS[status].label.toLowerCase()}`).join(' · ')}
+                </div>
                 <div class="info-item">
                     <strong>Links:</strong> ${links.length}
                 </div>
@@ -759,7 +812,8 @@ export default class DependenciesTab extends BaseTab {
                 <strong>Legend:</strong>
                 <span style="margin-left: 1rem; color: var(--primary-color);">● Mod</span>
                 <span style="margin-left: 1rem; color: var(--success-color);">● File</span>
-                <span style="margin-left: 1rem; color: var(--text-secondary);">● External</span>
+                <span style="margin-left: 1rem; color: var(--text-secondary);">● Missing package</span>
+                <span style="margin-left: 1rem; color: var(--warning-color);">● Version mismatch</span>
                 <span style="margin-left: 1rem; color: var(--error-color);">● Circular</span>
                 ${missingFiles > 0 ? `<span style="margin-left: 1rem; color: var(--warning-color);">● Missing</span>` : ''}
             </div>
@@ -774,6 +828,41 @@ export default class DependenciesTab extends BaseTab {
         `;
     }
     
+    /**
+     * Scroll plus the file graph's zoom and node positions
+     */
+    getViewState() {
+        const state = super.getViewState();
+        
+        if (this.fileGraph) {
+            const { x, y, k } = d3.zoomTransform(this.fileGraph.svg.node());
+            state.fileTransform = { x, y, k };
+            state.fileNodePositions = new Map(this.fileGraph.nodes.map(node => [node.id, { x: node.x, y: node.y }]));
+        }
+        
+        return state;
+    }
+    
+    async restoreViewState(state) {
+        await super.restoreViewState(state);
+        
+        const graph = this.fileGraph;
+        if (!graph || !state?.fileTransform) return;
+        
+        // Start unchanged nodes where they were, so the layout doesn't jump around
+        for (const node of graph.nodes) {
+            const position = state.fileNodePositions.get(node.id);
+            if (position) {
+                node.x = position.x;
+                node.y = position.y;
+            }
+        }
+        graph.simulation.alpha(0.3).restart();
+        
+        const { x, y, k } = state.fileTransform;
+        graph.svg.call(graph.zoom.transform, d3.zoomIdentity.translate(x, y).scale(k));
+    }
+    
     resetGraph(mode) {
         const graph = mode === 'file' ? this.fileGraph : this.sessionGraph;
         const container = mode === 'file' ? this.fileContainer : this.sessionContainer;
@@ -952,11 +1041,13 @@ export default class DependenciesTab extends BaseTab {
                 id: n.id,
                 name: n.name,
                 category: n.category,
-                hasData: n.hasData
+                hasData: n.hasData,
+                ...(n.status && { status: n.status })
             })),
             links: graph.links.map(l => ({
                 source: l.source.id || l.source,
-                target: l.target.id || l.target
+                target: l.target.id || l.target,
+                ...(l.status && { status: l.status, constraint: l.constraint })
             })),
             cycles: graph.cycles
         };
@@ -1,4 +1,6 @@
-// ErrorManager - Centralized error parsing and management
+// ErrorManager - Looks up a mod's diagnostics by script path
+
+import { groupByFile } from '../diagnostics.mjs';
 
 /**
  * Split a file path into segments, handling both / and \ separators
@@ -93,88 +95,15 @@ export function findBestPathMatch(targetPath, candidatePaths) {
 
 export class ErrorManager {
     constructor() {
-        this.errorsByFile = new Map(); // fileName -> [{line, column, message}]
-        this.rawStderr = '';
+        this.errorsByFile = new Map(); // fileName -> [Diagnostic] (see diagnostics.mjs)
     }
     
     /**
-     * Parse stderr and build error map
+     * Use a mod's diagnostics (pass nothing to clear)
+     * @param {Array<Diagnostic>} [diagnostics] - mod.diagnostics
      */
-    parseErrors(stderr) {
-        if (!stderr) return;
-        
-        this.rawStderr = stderr;
-        this.errorsByFile.clear();
-        
-        const lines = stderr.split('\n');
-        
-        // First pass: collect all error locations
-        const errorLocations = [];
-        for (let i = 0; i < lines.length; i++) {
-            const locationMatch = lines[i].match(/^\[\s*(\d+)\s*:\s*(\d+)\s*\]/);
-            if (locationMatch) {
-                const messageMatch = lines[i].match(/\]\s*(.+)$/);
-                errorLocations.push({
-                    lineIndex: i,
-                    line: parseInt(locationMatch[1]),
-                    column: parseInt(locationMatch[2]),
-                    message: messageMatch ? messageMatch[1].trim() : 'Error'
-                });
-            }
-        }
-        
-        // Second pass: find file mentions
-        const fileMentions = [];
-        const filePatterns = [
-            /"([\w\-\.\/\\]+\.lua)"/g,
-            /evaluating\s+([\w\-\.\/\\]+\.lua)/g,
-            /in\s+"([\w\-\.\/\\]+\.lua)"/g
-        ];
-        
-        for (let i = 0; i < lines.length; i++) {
-            for (const pattern of filePatterns) {
-                let match;
-                while ((match = pattern.exec(lines[i])) !== null) {
-                    const file = match[1].replace(/\\/g, '/');
-                    fileMentions.push({ lineIndex: i, file });
-                }
-            }
-        }
-        
-        // Third pass: associate errors with files
-        const errorToFileMap = new Map();
-        
-        for (const mention of fileMentions) {
-            for (let i = 0; i < errorLocations.length; i++) {
-                const error = errorLocations[i];
-                if (error.lineIndex < mention.lineIndex && !errorToFileMap.has(i)) {
-                    errorToFileMap.set(i, mention.file);
-                }
-            }
-        }
-        
-        // Default unassociated errors to entry.lua
-        for (let i = 0; i < errorLocations.length; i++) {
-            if (!errorToFileMap.has(i)) {
-                errorToFileMap.set(i, 'entry.lua');
-            }
-        }
-        
-        // Build error map by file
-        for (let i = 0; i < errorLocations.length; i++) {
-            const error = errorLocations[i];
-            const file = errorToFileMap.get(i);
-            
-            if (!this.errorsByFile.has(file)) {
-                this.errorsByFile.set(file, []);
-            }
-            
-            this.errorsByFile.get(file).push({
-                line: error.line,
-                column: error.column,
-                message: error.message
-            });
-        }
+    setDiagnostics(diagnostics = []) {
+        this.errorsByFile = groupByFile(diagnostics);
     }
     
     /**
@@ -4,6 +4,7 @@ import * as parser from '../parser.mjs';
 import BaseTab from './base-tab.mjs';
 import { FilePreviewMixin } from './file-preview-mixin.mjs';
 import { ErrorManager } from './error-manager.mjs';
+import { formatTrace } from '../diagnostics.mjs';
 import { escapeHtml } from '../utils/html-utils.mjs';
 import { toggleClass } from '../utils/dom-helpers.mjs';
 import { LuaGlobalsHighlighter, loadVersionMetadata } from '../utils/lua-globals.mjs';
@@ -76,11 +77,7 @@ export default class FileBrowserTab extends BaseTab {
     async onFileProcessed(mod) {
         await super.onFileProcessed(mod);
         
-        // Use pre-parsed errors from mod object
-        if (mod.errorsByFile) {
-            this.errorManager.errorsByFile = new Map(mod.errorsByFile);
-            this.errorManager.rawStderr = mod.result?.stderr || '';
-        }
+        this.errorManager.setDiagnostics(mod.diagnostics);
         
         // Clear previous file selection
         this.selectedFile = null;
@@ -94,11 +91,7 @@ export default class FileBrowserTab extends BaseTab {
     setCurrentMod(mod) {
         super.setCurrentMod(mod);
         
-        // Use pre-parsed errors from mod object
-        if (mod?.errorsByFile) {
-            this.errorManager.errorsByFile = new Map(mod.errorsByFile);
-            this.errorManager.rawStderr = mod.result?.stderr || '';
-        }
+        this.errorManager.setDiagnostics(mod?.diagnostics);
         
         // Clear previous file selection
         this.selectedFile = null;
@@ -157,13 +150,27 @@ export default class FileBrowserTab extends BaseTab {
         
         // Auto-select entry.lua if no file is currently selected
         if (!this.selectedFile && this.zipArchive && this.zipArchive.files['entry.lua']) {
-            // Use setTimeout to ensure DOM is ready
+            // Use setTimeout to ensure DOM is ready (a restored view may have picked a file meanwhile)
             setTimeout(() => {
-                this.selectFile('entry.lua');
+                if (!this.selectedFile) {
+                    this.selectFile('entry.lua');
+                }
             }, 0);
         }
     }
     
+    getViewState() {
+        return { ...super.getViewState(), selectedFile: this.selectedFile };
+    }
+    
+    async restoreViewState(state) {
+        // Keep showing the same file if it still exists after the refresh
+        if (state?.selectedFile && this.zipArchive?.files[state.selectedFile]) {
+            await this.selectFile(state.selectedFile);
+        }
+        await super.restoreViewState(state);
+    }
+    
     buildFileTree() {
         const tree = { name: 'root', children: {}, type: 'folder' };
         
@@ -227,7 +234,7 @@ export default class FileBrowserTab extends BaseTab {
         `;
     }
     
-
+    
     
     async selectFile(path) {
         this.selectedFile = path;
@@ -302,6 +309,7 @@ export default class FileBrowserTab extends BaseTab {
                 `<div class="error-item">
                     <span class="error-location">[${e.line}:${e.column}]</span>
                     <span class="error-message">${escapeHtml(e.message)}</span>
+                    ${e.includeChain?.length > 0 ? `<span class="error-trace">${escapeHtml(formatTrace(e))}</span>` : ''}
                 </div>`
             ).join('');
             
@@ -434,7 +442,7 @@ export default class FileBrowserTab extends BaseTab {
         return { start: -1, end: -1 };
     }
     
-
+    
     
     displayBinary(file) {
         this.setHTML('#file-preview', `
@@ -456,18 +464,18 @@ export default class FileBrowserTab extends BaseTab {
         errors.forEach(error => {
             const line = this.container.querySelector(`.code-line[data-line="${error.line}"]`);
             if (line) {
-                line.title = error.message;
+                line.title = error.includeChain?.length > 0 ? `${error.message}\n${formatTrace(error)}` : error.message;
                 line.style.cursor = 'help';
             }
         });
     }
     
-
+    
     
     clear() {
         super.clear();
         this.selectedFile = null;
-        this.errorManager.parseErrors(''); // Clear errors
+        this.errorManager.setDiagnostics();
         
         if (this.container) {
             this.setHTML('#file-tree', '<div class="empty-state">No files</div>');
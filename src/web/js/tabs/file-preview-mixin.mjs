@@ -2,6 +2,7 @@
 
 import { escapeHtml, createElement } from '../utils/html-utils.mjs';
 import { removeClass } from '../utils/dom-helpers.mjs';
+import { formatTrace } from '../diagnostics.mjs';
 
 export const FilePreviewMixin = {
     // State for preview tooltips
@@ -206,10 +207,24 @@ export const FilePreviewMixin = {
         const errorSummary = errorCount > 0 ? 
             `<div class="tooltip-error-summary">${errorCount} error${errorCount > 1 ? 's' : ''} in this file</div>` : '';
         
+        // Errors in included scripts show how the analyzer got there
+        const tracedErrors = errors.filter(e => e.includeChain?.length > 0);
+        const errorTraces = tracedErrors.length > 0 ? `
+            <div class="tooltip-error-traces">
+                ${tracedErrors.map(e => `
+                    <div class="tooltip-error-trace">
+                        <span class="error-message">${escapeHtml(e.message)}</span>
+                        <span class="error-trace">${escapeHtml(formatTrace(e))}</span>
+                    </div>
+                `).join('')}
+            </div>
+        ` : '';
+        
         return `
             <div class="file-preview-tooltip">
                 <div class="tooltip-header">${escapeHtml(fileName)}</div>
                 ${errorSummary}
+                ${errorTraces}
                 <div class="code-preview">
                     <div class="line-numbers">${lineNumbersHtml}</div>
                     <div class="code-lines">${codeHtml}</div>
@@ -0,0 +1,371 @@
+// JsonTreeView - Virtualized JSON tree for the results tab
+// Only expanded nodes are turned into rows and only the rows in view are in the DOM,
+// so analyzer output with tens of thousands of values stays responsive
+
+import { escapeHtml, escapeXml } from '../utils/html-utils.mjs';
+import { formatPathSegment } from '../json-query.mjs';
+
+const ROW_HEIGHT = 22; // px, must match .json-row in styles.css
+const OVERSCAN = 10; // Rows rendered above and below the visible ones
+const INDENT = 16; // px per level
+
+export const DEFAULT_EXPAND_DEPTH = 2;
+
+export class JsonTreeView {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.onRowsRendered] - Called with the rows element after visible rows are (re)built
+     */
+    constructor({ onRowsRendered = null } = {}) {
+        this.onRowsRendered = onRowsRendered;
+        this.data = undefined;
+        this.rows = [];
+        
+        // Expand state outlives the data, so it carries over re-renders and other mods with the same shape
+        this.expandDepth = DEFAULT_EXPAND_DEPTH; // Containers above this depth start expanded
+        this.toggled = new Map(); // path -> expanded, for nodes the user opened or closed
+        
+        this.highlights = new Set(); // Paths of query matches
+        this.keyQuery = ''; // Keys containing this are highlighted (text search)
+        this.focusIndex = 0;
+        
+        this.element = null;
+        this.viewport = null;
+        this.spacer = null;
+        this.rowsElement = null;
+        this.frame = null;
+    }
+    
+    /**
+     * Show data in an element (replaces its content)
+     * @param {HTMLElement} element - Element to render into
+     * @param {*} data - JSON value
+     */
+    render(element, data) {
+        this.element = element;
+        this.data = data;
+        this.focusIndex = 0;
+        
+        element.innerHTML = `
+            <div class="json-tree-toolbar">
+                <span>Expand to depth:</span>
+                ${[1, 2, 3, 4].map(depth => `<button class="json-depth" data-depth="${depth}">${depth}</button>`).join('')}
+                <button class="json-depth" data-depth="all">All</button>
+                <button class="json-depth" data-depth="0">Collapse</button>
+            </div>
+            <div class="json-tree-viewport" tabindex="0" role="tree" aria-label="Analysis JSON">
+                <div class="json-tree-spacer">
+                    <div class="json-tree-rows"></div>
+                </div>
+            </div>
+        `;
+        this.viewport = element.querySelector('.json-tree-viewport');
+        this.spacer = element.querySelector('.json-tree-spacer');
+        this.rowsElement = element.querySelector('.json-tree-rows');
+        
+        element.querySelector('.json-tree-toolbar').addEventListener('click', (e) => {
+            const button = e.target.closest('.json-depth');
+            if (button) {
+                this.expandToDepth(button.dataset.depth === 'all' ? Infinity : Number(button.dataset.depth));
+            }
+        });
+        this.viewport.addEventListener('scroll', () => this.scheduleRender());
+        this.viewport.addEventListener('click', (e) => this.handleClick(e));
+        this.viewport.addEventListener('keydown', (e) => this.handleKeydown(e));
+        
+        this.refresh();
+    }
+    
+    isExpanded(path, depth) {
+        return this.toggled.has(path) ? this.toggled.get(path) : depth < this.expandDepth;
+    }
+    
+    /**
+     * Flatten the expanded part of the data into rows
+     * Collapsed containers are not walked, so the cost follows what is open rather than the data size
+     */
+    buildRows() {
+        const rows = [];
+        
+        const visit = (value, key, path, depth, parent, last) => {
+            const index = rows.length;
+            if (value === null || typeof value !== 'object') {
+                rows.push({ path, key, value, depth, parent, last });
+                return;
+            }
+            
+            const isArray = Array.isArray(value);
+            const keys = isArray ? null : Object.keys(value);
+            const size = isArray ? value.length : keys.length;
+            const expanded = size > 0 && this.isExpanded(path, depth);
+            rows.push({ path, key, value, depth, parent, last, container: true, isArray, size, expanded });
+            if (!expanded) return;
+            
+            for (let i = 0; i < size; i++) {
+                const childKey = isArray ? i : keys[i];
+                visit(value[childKey], childKey, path + formatPathSegment(childKey), depth + 1, index, i === size - 1);
+            }
+            rows.push({ path, depth, parent: index, last, closing: true, isArray });
+        };
+        
+        if (this.data !== undefined) {
+            visit(this.data, null, '$', 0, -1, true);
+        }
+        return rows;
+    }
+    
+    /**
+     * Rebuild rows after the data or expand state changed
+     */
+    refresh() {
+        if (!this.viewport) return;
+        
+        this.rows = this.buildRows();
+        this.focusIndex = Math.min(this.focusIndex, Math.max(0, this.rows.length - 1));
+        this.spacer.style.height = `${this.rows.length * ROW_HEIGHT}px`;
+        this.renderVisibleRows();
+    }
+    
+    scheduleRender() {
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.renderVisibleRows();
+        });
+    }
+    
+    renderVisibleRows() {
+        if (!this.viewport) return;
+        
+        // A hidden tab has no height yet, so assume the window's worth of rows
+        const height = this.viewport.clientHeight || window.innerHeight;
+        const start = Math.max(0, Math.floor(this.viewport.scrollTop / ROW_HEIGHT) - OVERSCAN);
+        const end = Math.min(this.rows.length, Math.ceil((this.viewport.scrollTop + height) / ROW_HEIGHT) + OVERSCAN);
+        
+        let html = '';
+        for (let i = start; i < end; i++) {
+            html += this.renderRow(this.rows[i], i);
+        }
+        this.rowsElement.style.transform = `translateY(${start * ROW_HEIGHT}px)`;
+        this.rowsElement.innerHTML = html;
+        
+        this.onRowsRendered?.(this.rowsElement);
+    }
+    
+    renderRow(row, index) {
+        const classes = ['json-row'];
+        if (index === this.focusIndex) classes.push('focused');
+        if (!row.closing && this.highlights.has(row.path)) classes.push('json-match');
+        
+        const comma = row.last ? '' : ',';
+        const attributes = `class="${classes.join(' ')}" data-index="${index}" data-path="${escapeXml(row.path)}" role="treeitem" aria-level="${row.depth + 1}"`;
+        const indent = `style="padding-left: ${row.depth * INDENT}px"`;
+        
+        if (row.closing) {
+            return `<div ${attributes} ${indent}><span class="json-toggle-space"></span><span class="json-bracket">${row.isArray ? ']' : '}'}</span>${comma}</div>`;
+        }
+        
+        const label = this.renderKey(row.key);
+        
+        if (!row.container) {
+            return `<div ${attributes} ${indent}><span class="json-toggle-space"></span>${label}${this.renderValue(row.value)}${comma}</div>`;
+        }
+        
+        const [open, close] = row.isArray ? ['[', ']'] : ['{', '}'];
+        if (row.size === 0) {
+            return `<div ${attributes} ${indent}><span class="json-toggle-space"></span>${label}<span class="json-bracket">${open}${close}</span>${comma}</div>`;
+        }
+        
+        const toggle = `<span class="json-expand">${row.expanded ? '▼' : '▶'}</span>`;
+        if (row.expanded) {
+            return `<div ${attributes} aria-expanded="true" ${indent}>${toggle}${label}<span class="json-bracket">${open}</span></div>`;
+        }
+        
+        const summary = `${row.size} ${row.isArray ? (row.size === 1 ? 'item' : 'items') : (row.size === 1 ? 'key' : 'keys')}`;
+        return `<div ${attributes} aria-expanded="false" ${indent}>${toggle}${label}<span class="json-bracket">${open}</span><span class="json-summary">${summary}</span><span class="json-bracket">${close}</span>${comma}</div>`;
+    }
+    
+    renderKey(key) {
+        if (key === null) return '';
+        if (typeof key === 'number') return `<span class="json-index">${key}</span>: `;
+        
+        const match = this.keyQuery && key.toLowerCase().includes(this.keyQuery);
+        return `<span class="json-key${match ? ' json-match' : ''}">"${escapeHtml(key)}"</span>: `;
+    }
+    
+    renderValue(value) {
+        if (value === null) return '<span class="json-null">null</span>';
+        if (typeof value === 'boolean') return `<span class="json-boolean">${value}</span>`;
+        if (typeof value === 'number') return `<span class="json-number">${value}</span>`;
+        if (typeof value === 'string') {
+            // Rows are one line high, so long strings are cut off and shown in full on hover
+            const title = value.length > 80 ? ` title="${escapeXml(value)}"` : '';
+            return `<span class="json-string"${title}>"${escapeHtml(value)}"</span>`;
+        }
+        return `<span class="json-unknown">${escapeHtml(String(value))}</span>`;
+    }
+    
+    /**
+     * Open or close a container row
+     */
+    toggle(index, expanded = !this.rows[index]?.expanded) {
+        const row = this.rows[index];
+        if (!row?.container || row.size === 0 || row.expanded === expanded) return;
+        
+        this.toggled.set(row.path, expanded);
+        this.focusIndex = index;
+        this.refresh();
+    }
+    
+    /**
+     * Expand every container above a depth and collapse the rest, forgetting individual toggles
+     * @param {number} depth - 0 collapses everything, Infinity expands everything
+     */
+    expandToDepth(depth) {
+        this.expandDepth = depth;
+        this.toggled.clear();
+        this.focusIndex = 0;
+        this.refresh();
+        if (this.viewport) this.viewport.scrollTop = 0;
+    }
+    
+    /**
+     * Highlight nodes, expand the tree down to them and scroll to the first
+     * @param {Array<{path: string, segments: Array<string|number>}>} matches - Nodes to show (see json-query.mjs)
+     */
+    highlight(matches) {
+        this.keyQuery = '';
+        this.highlights = new Set(matches.map(match => match.path));
+        this.reveal(matches);
+    }
+    
+    /**
+     * Highlight keys containing some text and expand the tree down to them (case-insensitive)
+     * @param {string} query - Text to look for, '' to clear
+     * @returns {number} Number of matching keys
+     */
+    highlightKeys(query) {
+        this.keyQuery = query.toLowerCase();
+        this.highlights.clear();
+        
+        const matches = [];
+        const search = (value, segments) => {
+            if (value === null || typeof value !== 'object') return;
+            for (const [key, child] of Object.entries(value)) {
+                const childSegments = [...segments, Array.isArray(value) ? Number(key) : key];
+                if (!Array.isArray(value) && key.toLowerCase().includes(this.keyQuery)) {
+                    matches.push({ path: '$' + childSegments.map(formatPathSegment).join(''), segments: childSegments });
+                }
+                search(child, childSegments);
+            }
+        };
+        if (this.keyQuery) {
+            search(this.data, []);
+        }
+        
+        this.reveal(matches);
+        return matches.length;
+    }
+    
+    /**
+     * Expand every container above the given nodes and scroll to the first one
+     */
+    reveal(matches) {
+        for (const { segments } of matches) {
+            let path = '$';
+            for (const segment of segments) {
+                this.toggled.set(path, true);
+                path += formatPathSegment(segment);
+            }
+        }
+        
+        this.refresh();
+        if (matches.length > 0) {
+            this.scrollToPath(matches[0].path);
+        }
+    }
+    
+    scrollToPath(path) {
+        const index = this.rows.findIndex(row => row.path === path && !row.closing);
+        if (index !== -1) {
+            this.focusIndex = index;
+            this.scrollToIndex(index);
+        }
+    }
+    
+    /**
+     * Scroll just enough to show a row, and redraw
+     */
+    scrollToIndex(index) {
+        const top = index * ROW_HEIGHT;
+        const height = this.viewport.clientHeight || window.innerHeight;
+        if (top < this.viewport.scrollTop) {
+            this.viewport.scrollTop = top;
+        } else if (top + ROW_HEIGHT > this.viewport.scrollTop + height) {
+            this.viewport.scrollTop = top + ROW_HEIGHT - height;
+        }
+        this.renderVisibleRows();
+    }
+    
+    handleClick(e) {
+        const rowElement = e.target.closest('.json-row');
+        if (!rowElement) return;
+        
+        const index = Number(rowElement.dataset.index);
+        if (e.target.closest('.json-expand, .json-summary')) {
+            this.toggle(index);
+        } else if (this.focusIndex !== index) {
+            this.focusIndex = index;
+            this.renderVisibleRows();
+        }
+    }
+    
+    /**
+     * Arrow keys move between rows; right/left open and close containers or step into and out of them
+     */
+    handleKeydown(e) {
+        const row = this.rows[this.focusIndex];
+        if (!row) return;
+        
+        let target = this.focusIndex;
+        switch (e.key) {
+            case 'ArrowDown':
+                target = Math.min(this.rows.length - 1, this.focusIndex + 1);
+                break;
+            case 'ArrowUp':
+                target = Math.max(0, this.focusIndex - 1);
+                break;
+            case 'ArrowRight':
+                if (row.container && row.size > 0 && !row.expanded) {
+                    this.toggle(this.focusIndex, true);
+                } else if (row.expanded && !row.closing) {
+                    target = this.focusIndex + 1;
+                }
+                break;
+            case 'ArrowLeft':
+                if (row.expanded) {
+                    this.toggle(this.focusIndex, false);
+                } else if (row.parent >= 0) {
+                    target = row.parent;
+                }
+                break;
+            case 'Home':
+                target = 0;
+                break;
+            case 'End':
+                target = this.rows.length - 1;
+                break;
+            case 'Enter':
+            case ' ':
+                this.toggle(row.closing ? row.parent : this.focusIndex);
+                target = this.focusIndex;
+                break;
+            default:
+                return;
+        }
+        
+        e.preventDefault();
+        this.focusIndex = target;
+        this.scrollToIndex(target);
+    }
+}
@@ -1,18 +1,28 @@
 // Results Tab - Displays JSON analysis results
 
-import * as parser from '../parser.mjs';
 import BaseTab from './base-tab.mjs';
 import { FilePreviewMixin } from './file-preview-mixin.mjs';
+import { JsonTreeView } from './json-tree-view.mjs';
 import { ErrorManager, findBestPathMatch } from './error-manager.mjs';
+import { parseDiagnostics, filterBySeverity } from '../diagnostics.mjs';
+import { resolveDependencies, countByStatus, DEPENDENCY_STATUS } from '../dependency-resolver.mjs';
 import { addClass } from '../utils/dom-helpers.mjs';
-import { escapeHtml } from '../utils/html-utils.mjs';
+import { escapeHtml, escapeXml } from '../utils/html-utils.mjs';
+import { queryJson } from '../json-query.mjs';
+import { getPreference, setPreference } from '../preferences.mjs';
 
 export default class ResultsTab extends BaseTab {
-    constructor() {
+    constructor(app = null) {
         super();
+        this.app = app; // Needed to select a mod once its live output is finished
         // Mix in file preview functionality
         Object.assign(this, FilePreviewMixin);
         this.errorManager = new ErrorManager();
+        this.liveLog = null; // { modId, fileName, lines, running } of the analysis being followed
+        this.searchMode = 'text'; // 'text' matches keys by substring, 'query' runs JSONPath (see json-query.mjs)
+        this.queryResult = null; // { expression, matches, error } of the last query
+        // File path hovers are set up as rows scroll into view
+        this.jsonTree = new JsonTreeView({ onRowsRendered: () => this.setupJsonFileHovers() });
     }
     
     async init(container) {
@@ -22,11 +32,17 @@ export default class ResultsTab extends BaseTab {
                 <div class="results-header">
                     <h2>Analysis Results</h2>
                     <div class="results-actions">
+                        <select id="json-search-mode" class="json-search-mode" title="Search keys as text, or query with a JSONPath expression">
+                            <option value="text">Text</option>
+                            <option value="query">Query</option>
+                        </select>
                         <input type="text" id="json-search" class="filter-input" placeholder="Search JSON..." />
                         <button id="copy-json" class="btn btn-secondary">Copy JSON</button>
                         <button id="export-json" class="btn btn-secondary">Export JSON</button>
                     </div>
                 </div>
+                <div id="live-console" class="live-console" style="display: none;"></div>
+                <div id="json-query-panel" class="json-query-panel" style="display: none;"></div>
                 <div class="results-content">
                     <div id="mod-summary" class="mod-summary"></div>
                     <div id="console-output" class="console-output"></div>
@@ -37,18 +53,23 @@ export default class ResultsTab extends BaseTab {
         
         // Event listeners
         this.addEventListener(this.querySelector('#json-search'), 'input', (e) => this.searchJson(e.target.value));
+        this.addEventListener(this.querySelector('#json-search-mode'), 'change', (e) => this.setSearchMode(e.target.value));
+        this.addEventListener(this.querySelector('#json-query-panel'), 'click', (e) => this.handleQueryPanelClick(e));
         this.addEventListener(this.querySelector('#copy-json'), 'click', () => this.copyJson());
         this.addEventListener(this.querySelector('#export-json'), 'click', () => this.exportJson());
+        this.addEventListener(this.querySelector('#live-console'), 'click', (e) => {
+            if (e.target.closest('.live-console-close')) {
+                this.showLiveLog(null);
+            } else if (e.target.closest('.live-console-show')) {
+                this.showLiveLogResult();
+            }
+        });
     }
     
     async onFileProcessed(mod) {
         await super.onFileProcessed(mod);
         
-        // Use pre-parsed errors from mod object
-        if (mod.errorsByFile) {
-            this.errorManager.errorsByFile = new Map(mod.errorsByFile);
-            this.errorManager.rawStderr = mod.result?.stderr || '';
-        }
+        this.errorManager.setDiagnostics(mod.diagnostics);
         
         // Re-render after zip is loaded to ensure hovers are set up
         const jsonView = this.container?.querySelector('#json-view');
@@ -61,11 +82,12 @@ export default class ResultsTab extends BaseTab {
     setCurrentMod(mod) {
         super.setCurrentMod(mod);
         
-        // Use pre-parsed errors from mod object
-        if (mod?.errorsByFile) {
-            this.errorManager.errorsByFile = new Map(mod.errorsByFile);
-            this.errorManager.rawStderr = mod.result?.stderr || '';
+        // The finished run is now the selected result, so its live output is no longer needed
+        if (this.liveLog && !this.liveLog.running && this.liveLog.modId === mod?.id) {
+            this.showLiveLog(null);
         }
+        
+        this.errorManager.setDiagnostics(mod?.diagnostics);
     }
     
     render() {
@@ -74,28 +96,29 @@ export default class ResultsTab extends BaseTab {
             return;
         }
         
-        const { parsed, result, errors } = this.currentMod;
+        const { parsed, result, diagnostics } = this.currentMod;
         
         // Render summary first
         const summaryHtml = this.renderSummary(parsed, result);
         this.setHTML('#mod-summary', summaryHtml);
         
         // Render console output second
-        const consoleHtml = this.renderConsoleOutput(result);
+        const consoleHtml = this.renderConsoleOutput(result, diagnostics);
         this.setHTML('#console-output', consoleHtml);
         
         // Render JSON tree last
-        const jsonHtml = this.renderJsonTree(result.data);
-        this.setHTML('#json-view', jsonHtml);
-        
-        // Make file paths in JSON hoverable
-        this.setupJsonFileHovers();
-        
-        // Add expand/collapse handlers
-        this.setupJsonExpanders();
+        this.renderJsonTree(result.data);
         
         // Setup hover previews
         this.setupFilePreviewHovers();
+        
+        // Searches and saved or typed queries carry over from mod to mod
+        const search = this.querySelector('#json-search').value;
+        if (this.searchMode === 'query') {
+            this.runQuery(search);
+        } else if (search) {
+            this.searchJson(search);
+        }
     }
     
     renderSummary(parsed, result) {
@@ -106,9 +129,7 @@ export default class ResultsTab extends BaseTab {
         const parserErrorIssue = validationResult?.byField.get('errors')?.[0];
         const parserErrorCount = parserErrorIssue?.value || 0;
         
-        // Count warnings from stderr
-        const stderr = result.stderr || parsed.stderr || '';
-        const warnCount = stderr.split('\n').filter(l => l.trim().startsWith('WARN:')).length;
+        const warnCount = filterBySeverity(this.currentMod?.diagnostics, 'warning').length;
         
         // Get validation errors from currentMod
         const validationErrors = this.currentMod?.validationErrors || [];
@@ -123,6 +144,9 @@ export default class ResultsTab extends BaseTab {
         } else if (status === 'validation-failed') {
             statusText = 'Validation Failed';
             statusClass = 'warning';
+        } else if (status === 'cancelled') {
+            statusText = 'Cancelled';
+            statusClass = 'cancelled';
         }
         
         // Helper to check if field has validation error
@@ -150,18 +174,27 @@ export default class ResultsTab extends BaseTab {
             `;
         };
         
+        // Warnings and info are listed too - whether they fail the mod depends on the profile
+        const otherIssues = validationResult?.issues.filter(issue => issue.severity !== 'error') || [];
+        const issueCount = validationErrors.length + otherIssues.length;
+        const profile = validationResult?.profile;
+        const profileLabel = profile ? `<span class="validation-profile" title="Validation profile">${escapeHtml(profile.name)}</span>` : '';
+        
         // Validation errors section - always render
         const validationErrorsSection = `
-            <div class="validation-errors-section ${validationErrors.length === 0 ? 'empty' : ''}">
-                ${validationErrors.length > 0 ? `
-                    <h4>Validation Issues (${validationErrors.length})</h4>
+            <div class="validation-errors-section ${issueCount === 0 ? 'empty' : ''}">
+                ${issueCount > 0 ? `
+                    <h4>Validation Issues (${issueCount}) ${profileLabel}</h4>
                     <ul class="validation-error-list">
                         ${validationErrors.map(err => `
-                            <li><strong>${err.field}:</strong> ${err.message}</li>
+                            <li><strong>${escapeHtml(err.field)}:</strong> ${escapeHtml(err.message)}</li>
+                        `).join('')}
+                        ${otherIssues.map(issue => `
+                            <li class="${issue.severity}"><strong>${escapeHtml(issue.field)}:</strong> ${escapeHtml(issue.message)}</li>
                         `).join('')}
                     </ul>
                 ` : `
-                    <div class="validation-ok">✓ No validation issues</div>
+                    <div class="validation-ok">✓ No validation issues ${profileLabel}</div>
                 `}
             </div>
         `;
@@ -177,129 +210,161 @@ export default class ResultsTab extends BaseTab {
                 ${renderSummaryItem('Category', parsed.category, 'category')}
                 ${renderSummaryItem('Errors', parserErrorCount, 'errors')}
             </div>
+            ${this.renderAnalysisOptions(result)}
+            ${this.renderDependencies()}
             ${validationErrorsSection}
         `;
     }
     
+    /**
+     * Show the analyzer version and options that produced the current result
+     */
+    renderAnalysisOptions(result) {
+        const options = Object.entries(this.currentMod?.options || {});
+        const optionsHtml = options.length > 0
+            ? options.map(([name, value]) => {
+                if (typeof value === 'boolean') {
+                    return `<code>--${value ? '' : 'no-'}${escapeHtml(name)}</code>`;
+                }
+                return `<code>--${escapeHtml(name)}=${escapeHtml(String(value))}</code>`;
+            }).join(' ')
+            : 'default options';
+        
+        return `
+            <div class="analysis-options">
+                Analyzed with <strong>${escapeHtml(result.version || 'unknown version')}</strong> using ${optionsHtml}
+            </div>
+        `;
+    }
+    
+    /**
+     * List the packages the current mod depends on and whether the session provides them
+     */
+    renderDependencies() {
+        const dependencies = resolveDependencies(this.currentMod, this.app?.processedMods || []);
+        if (dependencies.length === 0) return '';
+        
+        const counts = countByStatus(dependencies);
+        const countsText = Object.entries(counts)
+            .filter(([, count]) => count > 0)
+            .map(([status, count]) => `${count} ${DEPENDENCY_STATUS[status].label.toLowerCase()}`)
+            .join(', ');
+        
+        return `
+            <div class="dependency-section">
+                <h4>Dependencies (${countsText})</h4>
+                <ul class="dependency-list">
+                    ${dependencies.map(dependency => `
+                        <li class="dependency-item ${dependency.status}" title="${escapeXml(dependency.raw)}">
+                            <span class="dependency-status">${DEPENDENCY_STATUS[dependency.status].icon} ${DEPENDENCY_STATUS[dependency.status].label}</span>
+                            <code>${escapeHtml(dependency.id)}</code>
+                            ${dependency.constraint ? `<code class="dependency-constraint">${escapeHtml(dependency.constraint)}</code>` : ''}
+                            <span class="dependency-message">${escapeHtml(dependency.message)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+    
     renderJsonTree(data) {
         if (!data) {
-            return '<div class="empty-state">No JSON data available</div>';
+            this.setHTML('#json-view', '<div class="empty-state">No JSON data available</div>');
+            return;
         }
         
-        return this.renderObject(data, 0);
+        this.jsonTree.render(this.querySelector('#json-view'), data);
     }
     
-    renderObject(obj, depth = 0) {
-        const indent = '  '.repeat(depth);
-        
-        if (obj === null) return '<span class="json-null">null</span>';
-        if (obj === undefined) return '<span class="json-undefined">undefined</span>';
-        
-        const type = typeof obj;
-        
-        if (type === 'boolean') {
-            return `<span class="json-boolean">${obj}</span>`;
+    /**
+     * Follow a running analysis in the live console panel
+     * @param {Object|null} liveLog - { modId, fileName, lines, running }, or null to hide the panel
+     */
+    showLiveLog(liveLog) {
+        this.liveLog = liveLog;
+        this.renderLiveLog();
+    }
+    
+    /**
+     * Called when an analysis starts or finishes
+     * The selected mod is followed automatically when it is re-analyzed
+     */
+    updateLiveLog(liveLog) {
+        if (liveLog.running && liveLog.modId === this.currentMod?.id) {
+            this.liveLog = liveLog;
         }
-        
-        if (type === 'number') {
-            return `<span class="json-number">${obj}</span>`;
+        if (this.liveLog === liveLog) {
+            this.renderLiveLog();
         }
-        
-        if (type === 'string') {
-            return `<span class="json-string">"${escapeHtml(obj)}"</span>`;
+    }
+    
+    /**
+     * Add a printed line to the live console if it is following that analysis
+     * @param {string|number} modId - Mod the output belongs to
+     * @param {string} text - Printed text
+     */
+    appendLiveLog(modId, text) {
+        if (this.liveLog?.modId !== modId) return;
+        
+        const output = this.querySelector('.live-console-output');
+        if (!output) return;
+        
+        // Keep scrolling with the output unless the user scrolled up to read
+        const atBottom = output.scrollTop + output.clientHeight >= output.scrollHeight - 4;
+        output.append(`${text}\n`);
+        if (atBottom) {
+            output.scrollTop = output.scrollHeight;
         }
+    }
+    
+    renderLiveLog() {
+        const panel = this.querySelector('#live-console');
+        if (!panel) return;
         
-        if (Array.isArray(obj)) {
-            if (obj.length === 0) {
-                return '<span class="json-array">[]</span>';
-            }
-            
-            // Check if array contains only primitives (numbers, strings, booleans, null)
-            const isPrimitiveArray = obj.every(item => {
-                const itemType = typeof item;
-                return item === null || itemType === 'number' || itemType === 'string' || itemType === 'boolean';
-            });
-            
-            if (isPrimitiveArray) {
-                // Render inline for primitive arrays
-                const items = obj.map(item => {
-                    if (item === null) return '<span class="json-null">null</span>';
-                    if (typeof item === 'boolean') return `<span class="json-boolean">${item}</span>`;
-                    if (typeof item === 'number') return `<span class="json-number">${item}</span>`;
-                    if (typeof item === 'string') return `<span class="json-string">"${escapeHtml(item)}"</span>`;
-                }).join(', ');
-                
-                return `<span class="json-array json-array-inline">[${items}]</span>`;
-            }
-            
-            // Render multi-line for complex arrays
-            let html = '<div class="json-array">';
-            html += `<span class="json-bracket json-expand" data-expanded="true">▼ [</span>`;
-            html += '<div class="json-array-content">';
-            
-            obj.forEach((item, index) => {
-                html += `<div class="json-item">${indent}  `;
-                html += this.renderObject(item, depth + 1);
-                if (index < obj.length - 1) html += ',';
-                html += '</div>';
-            });
-            
-            html += `</div>${indent}<span class="json-bracket">]</span>`;
-            html += '</div>';
-            return html;
+        if (!this.liveLog) {
+            panel.style.display = 'none';
+            panel.innerHTML = '';
+            return;
         }
         
-        if (type === 'object') {
-            const keys = Object.keys(obj);
-            
-            if (keys.length === 0) {
-                return '<span class="json-object">{}</span>';
-            }
-            
-            let html = '<div class="json-object">';
-            html += `<span class="json-bracket json-expand" data-expanded="true">▼ {</span>`;
-            html += '<div class="json-object-content">';
-            
-            keys.forEach((key, index) => {
-                html += `<div class="json-property">`;
-                html += `${indent}  <span class="json-key">"${escapeHtml(key)}"</span>: `;
-                html += this.renderObject(obj[key], depth + 1);
-                if (index < keys.length - 1) html += ',';
-                html += '</div>';
-            });
-            
-            html += `</div>${indent}<span class="json-bracket">}</span>`;
-            html += '</div>';
-            return html;
-        }
+        const { fileName, lines, running } = this.liveLog;
+        panel.style.display = 'block';
+        panel.innerHTML = `
+            <div class="live-console-header">
+                <h3>${running ? 'Analyzing' : 'Finished'} <span class="live-console-file">${escapeHtml(fileName)}</span></h3>
+                ${running ? '' : '<button class="btn btn-secondary live-console-show">Show Result</button>'}
+                <button class="btn-icon live-console-close" title="Hide live output">×</button>
+            </div>
+            <pre class="live-console-output">${lines.map(line => `${escapeHtml(line)}\n`).join('')}</pre>
+        `;
         
-        return `<span class="json-unknown">${String(obj)}</span>`;
+        const output = panel.querySelector('.live-console-output');
+        output.scrollTop = output.scrollHeight;
     }
     
-    setupJsonExpanders() {
-        this.addEventListeners('.json-expand', 'click', (e) => {
-            const expander = e.target;
-            e.stopPropagation();
-            const isExpanded = expander.dataset.expanded === 'true';
-            const parent = expander.parentElement;
-            const content = parent.querySelector('.json-array-content, .json-object-content');
-            
-            if (content) {
-                expander.dataset.expanded = !isExpanded;
-                expander.textContent = isExpanded ? '▶ ' : '▼ ';
-                expander.textContent += isExpanded ? (parent.classList.contains('json-array') ? '[' : '{') 
-                                                   : (parent.classList.contains('json-array') ? '[' : '{');
-                content.style.display = isExpanded ? 'none' : 'block';
-            }
-        });
+    showLiveLogResult() {
+        const modId = this.liveLog?.modId;
+        const index = this.app?.processedMods.findIndex(mod => mod.id === modId) ?? -1;
+        
+        // Results are added in drop order, so it may still be waiting on earlier files
+        if (index === -1) {
+            alert(`${this.liveLog.fileName} isn't in the mod list yet`);
+            return;
+        }
+        this.app.selectMod(index);
     }
     
-    renderConsoleOutput(result) {
+    /**
+     * @param {Object} result - Analyzer result
+     * @param {Array<Diagnostic>} [diagnostics] - Parsed from result.stderr (see diagnostics.mjs)
+     */
+    renderConsoleOutput(result, diagnostics = []) {
         // Check both result.stdout and parsed.stdout
         const stdout = result.stdout || result.data?.stdout || '';
         const stderr = result.stderr || result.data?.stderr || '';
+        const log = result.log || '';
         const analyzerError = result.success === false && result.error ? result.error : '';
-        const hasOutput = stdout || stderr || analyzerError;
+        const hasOutput = stdout || stderr || log || analyzerError;
         
         if (!hasOutput) {
             return '';
@@ -323,50 +388,32 @@ export default class ResultsTab extends BaseTab {
                 ${stderr ? `
                     <div class="console-stderr">
                         <h4>Standard Error</h4>
-                        <pre>${this.highlightConsoleOutput(stderr)}</pre>
+                        <pre>${this.highlightConsoleOutput(stderr, diagnostics)}</pre>
+                    </div>
+                ` : ''}
+                ${log ? `
+                    <div class="console-log">
+                        <h4>Analyzer Log</h4>
+                        <pre>${this.highlightConsoleOutput(log)}</pre>
                     </div>
                 ` : ''}
             </div>
         `;
     }
     
-    highlightConsoleOutput(text) {
-        // Parse with error manager (already done in onFileProcessed, but this ensures it's available)
-        if (!this.errorManager.rawStderr) {
-            this.errorManager.parseErrors(text);
-        }
-        
-        const originalLines = text.split('\n');
-        const escapedLines = originalLines.map(line => escapeHtml(line));
+    /**
+     * Escape console text, linking script names and error locations
+     * @param {string} text - Output to show
+     * @param {Array<Diagnostic>} [diagnostics] - Diagnostics of this text (parsed here for stdout and the log)
+     */
+    highlightConsoleOutput(text, diagnostics = parseDiagnostics(text)) {
+        const escapedLines = text.split('\n').map(line => escapeHtml(line));
         const processedLines = [];
         
-        // Track which lines have error locations
-        const errorLineIndices = new Map(); // lineIndex -> {file, line, column}
-        
-        for (let i = 0; i < originalLines.length; i++) {
-            const locationMatch = originalLines[i].match(/^\[\s*(\d+)\s*:\s*(\d+)\s*\]/);
-            if (locationMatch) {
-                // Get the file for this error from error manager
-                let errorFile = 'entry.lua';
-                
-                // Look ahead to find file mention
-                for (let j = i; j < Math.min(i + 5, originalLines.length); j++) {
-                    const fileMatch = originalLines[j].match(/"([\w\-\.\/\\]+\.lua)"/) ||
-                                     originalLines[j].match(/evaluating\s+([\w\-\.\/\\]+\.lua)/) ||
-                                     originalLines[j].match(/in\s+"([\w\-\.\/\\]+\.lua)"/);
-                    if (fileMatch) {
-                        errorFile = fileMatch[1].replace(/\\/g, '/');
-                        break;
-                    }
-                }
-                
-                errorLineIndices.set(i, {
-                    file: errorFile,
-                    line: parseInt(locationMatch[1]),
-                    column: parseInt(locationMatch[2])
-                });
-            }
-        }
+        // Lines that start a diagnostic with a location -> that diagnostic
+        const errorLineIndices = new Map(diagnostics
+            .filter(diagnostic => diagnostic.line !== null)
+            .map(diagnostic => [diagnostic.lineIndex, diagnostic]));
         
         // Apply highlighting
         for (let i = 0; i < escapedLines.length; i++) {
@@ -387,7 +434,7 @@ export default class ResultsTab extends BaseTab {
             if (errorLineIndices.has(i)) {
                 const error = errorLineIndices.get(i);
                 line = line.replace(
-                    /^\[\s*(\d+)\s*:\s*(\d+)\s*\]/,
+                    /\[\s*(\d+)\s*:\s*(\d+)\s*\]/,
                     `<span class="console-location-bracket" data-file="${escapeHtml(error.file)}" data-line="${error.line}" data-column="${error.column}">[${error.line}:${error.column}]</span>`
                 );
             }
@@ -399,27 +446,145 @@ export default class ResultsTab extends BaseTab {
     }
     
     searchJson(query) {
-        if (!this.currentMod || !query) {
-            this.render();
+        if (this.searchMode === 'query') {
+            this.runQuery(query);
             return;
         }
         
-        const results = parser.searchJson(this.currentMod.result.data, query);
+        if (!this.currentMod) return;
         
-        // Highlight matching items
-        const jsonView = this.container.querySelector('#json-view');
-        const keys = jsonView.querySelectorAll('.json-key');
+        // Highlight matching keys, expanding the tree down to them
+        this.jsonTree.highlightKeys(query);
+    }
+    
+    /**
+     * Switch the search box between text search and JSONPath queries
+     * @param {'text'|'query'} mode - Search mode
+     */
+    setSearchMode(mode) {
+        this.searchMode = mode;
+        const input = this.querySelector('#json-search');
+        input.placeholder = mode === 'query' ? 'data.resources.incs[*]  or  ..[?(@.damage > 100)]' : 'Search JSON...';
+        
+        if (mode === 'text') {
+            this.queryResult = null;
+            this.renderQueryPanel();
+        }
+        this.searchJson(input.value);
+    }
+    
+    /**
+     * Run a JSONPath query on the current result, highlight the matches and expand the tree down to them
+     * @param {string} expression - Query (see json-query.mjs)
+     */
+    runQuery(expression) {
+        if (!this.currentMod || !expression.trim()) {
+            this.queryResult = null;
+            this.jsonTree.highlight([]);
+            this.renderQueryPanel();
+            return;
+        }
+        
+        try {
+            this.queryResult = { expression, matches: queryJson(this.currentMod.result.data, expression), error: null };
+        } catch (error) {
+            this.queryResult = { expression, matches: [], error: error.message };
+        }
         
-        keys.forEach(key => {
-            const text = key.textContent.replace(/"/g, '');
-            if (text.toLowerCase().includes(query.toLowerCase())) {
-                key.style.backgroundColor = 'rgba(33, 150, 243, 0.3)';
-            } else {
-                key.style.backgroundColor = '';
+        this.jsonTree.highlight(this.queryResult.matches);
+        this.renderQueryPanel();
+    }
+    
+    /**
+     * Show the match count or query error, result actions and saved queries
+     */
+    renderQueryPanel() {
+        const panel = this.querySelector('#json-query-panel');
+        if (!panel) return;
+        
+        if (this.searchMode !== 'query') {
+            panel.style.display = 'none';
+            panel.innerHTML = '';
+            return;
+        }
+        
+        const result = this.queryResult;
+        const savedQueries = getPreference('savedJsonQueries') || [];
+        
+        let status = 'Type a JSONPath query, e.g. <code>data.resources.incs[*]</code>';
+        if (result?.error) {
+            status = `<span class="json-query-error">${escapeHtml(result.error)}</span>`;
+        } else if (result) {
+            status = `${result.matches.length} match${result.matches.length === 1 ? '' : 'es'}`;
+        }
+        
+        const hasMatches = result?.matches.length > 0;
+        panel.style.display = 'block';
+        panel.innerHTML = `
+            <div class="json-query-status">
+                <span>${status}</span>
+                <button class="btn btn-secondary json-query-copy" ${hasMatches ? '' : 'disabled'}>Copy Result</button>
+                <button class="btn btn-secondary json-query-export" ${hasMatches ? '' : 'disabled'}>Export Result</button>
+                <button class="btn btn-secondary json-query-save" ${result && !result.error ? '' : 'disabled'}>Save Query</button>
+            </div>
+            ${savedQueries.length > 0 ? `
+                <div class="json-saved-queries">
+                    ${savedQueries.map((query, index) => `
+                        <span class="json-saved-query">
+                            <button class="json-saved-query-run" data-index="${index}" title="Run this query">${escapeHtml(query)}</button>
+                            <button class="json-saved-query-remove" data-index="${index}" title="Remove saved query">×</button>
+                        </span>
+                    `).join('')}
+                </div>
+            ` : ''}
+        `;
+    }
+    
+    handleQueryPanelClick(e) {
+        const savedQueries = getPreference('savedJsonQueries') || [];
+        const button = e.target.closest('button');
+        if (!button) return;
+        
+        if (button.classList.contains('json-query-copy')) {
+            this.copyQueryResult(button);
+        } else if (button.classList.contains('json-query-export')) {
+            this.exportQueryResult();
+        } else if (button.classList.contains('json-query-save')) {
+            const expression = this.queryResult.expression.trim();
+            if (!savedQueries.includes(expression)) {
+                setPreference('savedJsonQueries', [...savedQueries, expression]);
             }
+            this.renderQueryPanel();
+        } else if (button.classList.contains('json-saved-query-run')) {
+            const input = this.querySelector('#json-search');
+            input.value = savedQueries[button.dataset.index];
+            this.runQuery(input.value);
+        } else if (button.classList.contains('json-saved-query-remove')) {
+            setPreference('savedJsonQueries', savedQueries.filter((_, index) => index !== Number(button.dataset.index)));
+            this.renderQueryPanel();
+        }
+    }
+    
+    /**
+     * The matched values as JSON (an array, like JSONPath results)
+     */
+    getQueryResultJson() {
+        return JSON.stringify(this.queryResult.matches.map(match => match.value), null, 2);
+    }
+    
+    copyQueryResult(button) {
+        navigator.clipboard.writeText(this.getQueryResultJson()).then(() => {
+            this.showButtonSuccess(button, '✓ Copied!');
+        }).catch(err => {
+            console.error('Failed to copy:', err);
+            alert('Failed to copy to clipboard');
         });
     }
     
+    exportQueryResult() {
+        this.downloadFile(`${this.currentMod.parsed.id}_query.json`, this.getQueryResultJson(), 'application/json');
+    }
+    
     copyJson() {
         if (!this.currentMod) return;
         
@@ -604,7 +769,7 @@ export default class ResultsTab extends BaseTab {
     clear() {
         super.clear();
         this.hidePreview();
-        this.errorManager.parseErrors(''); // Clear errors
+        this.errorManager.setDiagnostics();
         if (this.container) {
             this.setHTML('.results-content', '<div class="empty-state">No results</div>');
         }
@@ -0,0 +1,434 @@
+// Rules Tab - Editor for custom validation rules and validation profiles
+
+import BaseTab from './base-tab.mjs';
+import { escapeHtml, escapeXml } from '../utils/html-utils.mjs';
+import {
+    RULE_SOURCES,
+    RULE_OPERATORS,
+    RULE_SEVERITIES,
+    normalizeRule,
+    checkRule,
+    describeRule,
+    parseRulesJson,
+    exportRulesJson
+} from '../custom-rules.mjs';
+import { SEVERITIES } from '../validation.mjs';
+import { normalizeProfile, DEFAULT_PROFILE_ID } from '../validation-profiles.mjs';
+
+// Profile failOn choices - the least severe issue that fails a mod
+const FAIL_ON_LABELS = {
+    error: 'Errors',
+    warning: 'Warnings and errors',
+    info: 'Any issue'
+};
+
+export default class RulesTab extends BaseTab {
+    constructor(app) {
+        super();
+        this.app = app; // Rules live on the app, which re-validates the session when they change
+        this.editingId = null; // Rule open in the form ('new' for a new rule), null when the form is closed
+    }
+    
+    async init(container) {
+        await super.init(container);
+        
+        this.container.innerHTML = `
+            <div class="rules-view">
+                <div class="rules-header">
+                    <h2>Validation Rules</h2>
+                    <div class="rules-actions">
+                        <button id="add-rule" class="btn">Add Rule</button>
+                        <button id="import-rules" class="btn btn-secondary">Import</button>
+                        <button id="export-rules" class="btn btn-secondary">Export</button>
+                        <input type="file" id="import-rules-input" accept=".json,application/json" hidden>
+                    </div>
+                </div>
+                <p class="rules-intro">
+                    Rules run after the built-in validators on every mod. Errors fail validation;
+                    warnings and info are listed with the validation issues.
+                </p>
+                <div id="rule-form" class="rule-form" style="display: none;"></div>
+                <div id="rule-list" class="rule-list"></div>
+                
+                <div class="rules-header profiles-header">
+                    <h2>Validation Profile</h2>
+                    <div class="rules-actions">
+                        <button id="copy-profile" class="btn btn-secondary">Copy Profile</button>
+                        <button id="delete-profile" class="btn btn-secondary">Delete Profile</button>
+                    </div>
+                </div>
+                <div id="profile-settings" class="profile-settings"></div>
+            </div>
+        `;
+        
+        const importInput = this.querySelector('#import-rules-input');
+        this.addEventListener(this.querySelector('#add-rule'), 'click', () => this.openForm('new'));
+        this.addEventListener(this.querySelector('#import-rules'), 'click', () => importInput.click());
+        this.addEventListener(this.querySelector('#export-rules'), 'click', () => this.exportRules());
+        this.addEventListener(importInput, 'change', async () => {
+            const [file] = importInput.files;
+            importInput.value = '';
+            if (file) await this.importRules(file);
+        });
+        
+        this.addEventListener(this.querySelector('#rule-list'), 'click', (e) => this.handleListClick(e));
+        this.addEventListener(this.querySelector('#rule-list'), 'change', (e) => {
+            if (e.target.classList.contains('rule-enabled')) {
+                this.updateRule(e.target.dataset.id, { enabled: e.target.checked });
+            }
+        });
+        
+        const form = this.querySelector('#rule-form');
+        this.addEventListener(form, 'submit', (e) => {
+            e.preventDefault();
+            this.saveForm();
+        });
+        this.addEventListener(form, 'change', (e) => {
+            if (e.target.name === 'operator') this.showOperatorSettings();
+        });
+        this.addEventListener(form, 'click', (e) => {
+            if (e.target.closest('.rule-form-cancel')) this.closeForm();
+        });
+        
+        this.addEventListener(this.querySelector('#copy-profile'), 'click', () => this.copyProfile());
+        this.addEventListener(this.querySelector('#delete-profile'), 'click', () => this.deleteProfile());
+        this.addEventListener(this.querySelector('#profile-settings'), 'change', (e) => this.handleProfileChange(e.target));
+        
+        this.render();
+    }
+    
+    get rules() {
+        return this.app.customRules;
+    }
+    
+    get profile() {
+        return this.app.validationProfile;
+    }
+    
+    render() {
+        if (!this.container) return;
+        
+        this.querySelector('#export-rules').disabled = this.rules.length === 0;
+        
+        const list = this.querySelector('#rule-list');
+        if (this.rules.length === 0) {
+            list.innerHTML = `
+                <div class="empty-state">
+                    No custom rules yet. Add one to check a field of every mod, e.g. that
+                    <code>description</code> is required or <code>..damage</code> stays between 0 and 500.
+                </div>
+            `;
+        } else {
+            list.innerHTML = this.rules.map(rule => this.renderRule(rule)).join('');
+        }
+        
+        this.renderProfile();
+    }
+    
+    renderRule(rule) {
+        const status = this.getRuleStatus(rule);
+        
+        return `
+            <div class="rule-item ${rule.enabled ? '' : 'disabled'}">
+                <input type="checkbox" class="rule-enabled" data-id="${escapeXml(rule.id)}"
+                       ${rule.enabled ? 'checked' : ''} title="${rule.enabled ? 'Disable' : 'Enable'} this rule">
+                <div class="rule-details">
+                    <div class="rule-title">
+                        <span class="rule-severity ${rule.severity}">${rule.severity}</span>
+                        <strong>${escapeHtml(rule.name)}</strong>
+                    </div>
+                    <div class="rule-description">
+                        <code>${escapeHtml(RULE_SOURCES[rule.source].label)}</code> ${escapeHtml(describeRule(rule))}
+                    </div>
+                    ${status ? `<div class="rule-status ${status.className}">${escapeHtml(status.text)}</div>` : ''}
+                </div>
+                <div class="rule-item-actions">
+                    <button class="btn btn-secondary rule-edit" data-id="${escapeXml(rule.id)}">Edit</button>
+                    <button class="btn btn-secondary rule-delete" data-id="${escapeXml(rule.id)}">Delete</button>
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * How the current mod fares against a rule
+     * @returns {{className: string, text: string}|null} Null when no mod is selected
+     */
+    getRuleStatus(rule) {
+        const mod = this.currentMod;
+        if (!mod?.validationResult) return null;
+        
+        if (!rule.enabled) {
+            return { className: 'skipped', text: 'Disabled' };
+        }
+        if (mod.status === 'failed' || mod.status === 'cancelled') {
+            return { className: 'skipped', text: `Not checked - ${mod.fileName} wasn't analyzed` };
+        }
+        if (this.profile.nodes[`custom-${rule.id}`]?.enabled === false) {
+            return { className: 'skipped', text: `Turned off by the ${this.profile.name} profile` };
+        }
+        
+        const issue = mod.validationResult.issues.find(issue => issue.nodeId === `custom-${rule.id}`);
+        return issue
+            ? { className: issue.severity, text: issue.message }
+            : { className: 'passed', text: `✓ ${mod.fileName} passes` };
+    }
+    
+    handleListClick(e) {
+        const button = e.target.closest('button');
+        if (!button) return;
+        
+        const rule = this.rules.find(rule => rule.id === button.dataset.id);
+        if (!rule) return;
+        
+        if (button.classList.contains('rule-edit')) {
+            this.openForm(rule.id);
+        } else if (button.classList.contains('rule-delete')) {
+            if (confirm(`Delete the rule "${rule.name}"?`)) {
+                if (this.editingId === rule.id) this.closeForm();
+                this.app.setCustomRules(this.rules.filter(other => other !== rule));
+            }
+        }
+    }
+    
+    updateRule(id, changes) {
+        this.app.setCustomRules(this.rules.map(rule => rule.id === id ? normalizeRule({ ...rule, ...changes }) : rule));
+    }
+    
+    /**
+     * Show the form for a new rule ('new') or an existing one
+     */
+    openForm(id) {
+        const rule = this.rules.find(rule => rule.id === id)
+            || { name: '', source: 'parsed', field: '', operator: 'required', severity: 'error', message: '', enabled: true };
+        this.editingId = id;
+        
+        const options = (entries, selected) => entries
+            .map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${escapeHtml(label)}</option>`)
+            .join('');
+        const text = (name, label, value, attrs = '') => `
+            <label class="rule-form-field">
+                <span>${label}</span>
+                <input type="text" name="${name}" value="${escapeXml(String(value ?? ''))}" ${attrs}>
+            </label>
+        `;
+        
+        const form = this.querySelector('#rule-form');
+        form.innerHTML = `
+            <form>
+                <h3>${id === 'new' ? 'New Rule' : `Edit ${escapeHtml(rule.name)}`}</h3>
+                <div class="rule-form-grid">
+                    ${text('name', 'Name', rule.name, 'placeholder="Defaults to the field and check"')}
+                    <label class="rule-form-field">
+                        <span>Source</span>
+                        <select name="source">${options(Object.entries(RULE_SOURCES).map(([key, source]) => [key, source.label]), rule.source)}</select>
+                    </label>
+                    ${text('field', 'Field (JSONPath)', rule.field, 'placeholder="e.g. description or ..damage" required')}
+                    <label class="rule-form-field">
+                        <span>Check</span>
+                        <select name="operator">${options(Object.entries(RULE_OPERATORS).map(([key, operator]) => [key, operator.label]), rule.operator)}</select>
+                    </label>
+                    <div class="rule-form-settings" data-operator="regex">
+                        ${text('pattern', 'Pattern', rule.pattern, 'placeholder="Regular expression"')}
+                        ${text('flags', 'Flags', rule.flags, 'placeholder="e.g. i" size="4"')}
+                        <label class="rule-form-check">
+                            <input type="checkbox" name="negate" ${rule.negate ? 'checked' : ''}>
+                            Must not match
+                        </label>
+                    </div>
+                    <div class="rule-form-settings" data-operator="enum">
+                        ${text('values', 'Allowed values', rule.values?.join(', '), 'placeholder="Comma separated"')}
+                    </div>
+                    <div class="rule-form-settings" data-operator="range">
+                        ${text('min', 'Minimum', rule.min, 'placeholder="None"')}
+                        ${text('max', 'Maximum', rule.max, 'placeholder="None"')}
+                    </div>
+                    <label class="rule-form-field">
+                        <span>Severity</span>
+                        <select name="severity">${options(RULE_SEVERITIES.map(severity => [severity, severity]), rule.severity)}</select>
+                    </label>
+                    ${text('message', 'Message', rule.message, 'placeholder="Optional - {value} is replaced with the value found"')}
+                </div>
+                <ul class="rule-form-errors"></ul>
+                <div class="rule-form-actions">
+                    <button type="submit" class="btn">Save Rule</button>
+                    <button type="button" class="btn btn-secondary rule-form-cancel">Cancel</button>
+                </div>
+            </form>
+        `;
+        form.style.display = 'block';
+        
+        this.showOperatorSettings();
+        form.querySelector('[name="field"]').focus();
+    }
+    
+    closeForm() {
+        this.editingId = null;
+        const form = this.querySelector('#rule-form');
+        form.style.display = 'none';
+        form.innerHTML = '';
+    }
+    
+    /**
+     * Only show the settings the selected check uses
+     */
+    showOperatorSettings() {
+        const operator = this.querySelector('#rule-form [name="operator"]').value;
+        this.querySelectorAll('#rule-form .rule-form-settings').forEach(settings => {
+            settings.style.display = settings.dataset.operator === operator ? 'flex' : 'none';
+        });
+    }
+    
+    saveForm() {
+        const form = this.querySelector('#rule-form form');
+        const values = Object.fromEntries(new FormData(form));
+        const existing = this.rules.find(rule => rule.id === this.editingId);
+        
+        const rule = normalizeRule({
+            ...values,
+            id: existing?.id,
+            enabled: existing ? existing.enabled : true,
+            negate: values.negate === 'on'
+        });
+        
+        const problems = checkRule(rule);
+        if (problems.length > 0) {
+            form.querySelector('.rule-form-errors').innerHTML = problems
+                .map(problem => `<li>${escapeHtml(problem)}</li>`)
+                .join('');
+            return;
+        }
+        
+        this.closeForm();
+        this.app.setCustomRules(existing
+            ? this.rules.map(other => other === existing ? rule : other)
+            : [...this.rules, rule]);
+    }
+    
+    /**
+     * Add rules from an exported file; rules with the same id replace the stored ones
+     */
+    async importRules(file) {
+        let imported;
+        try {
+            imported = parseRulesJson(await file.text());
+        } catch (error) {
+            alert(`Failed to import rules from ${file.name}: ${error.message}`);
+            return;
+        }
+        
+        const ids = new Set(imported.map(rule => rule.id));
+        this.app.setCustomRules([...this.rules.filter(rule => !ids.has(rule.id)), ...imported]);
+    }
+    
+    exportRules() {
+        this.downloadFile('validation-rules.json', exportRulesJson(this.rules), 'application/json');
+    }
+    
+    /**
+     * Show the active profile's settings: what fails a mod and an override for each validator
+     * Built-in profiles are shown read-only
+     */
+    renderProfile() {
+        const profile = this.profile;
+        const readOnly = profile.builtIn ? 'disabled' : '';
+        
+        this.querySelector('#delete-profile').disabled = Boolean(profile.builtIn);
+        
+        const failOnOptions = SEVERITIES
+            .map(severity => `<option value="${severity}" ${severity === profile.failOn ? 'selected' : ''}>${FAIL_ON_LABELS[severity]}</option>`)
+            .join('');
+        
+        const rows = this.app.validationRegistry.nodes.map(node => {
+            const override = node.locked ? {} : profile.nodes[node.id] || {};
+            const enabled = override.enabled !== false;
+            const locked = node.locked ? `disabled title="${escapeXml(node.name)} can't be changed by a profile"` : readOnly;
+            const severityOptions = SEVERITIES
+                .map(severity => `<option value="${severity}" ${severity === override.severity ? 'selected' : ''}>${severity}</option>`)
+                .join('');
+            
+            return `
+                <tr class="${enabled ? '' : 'disabled'}">
+                    <td><input type="checkbox" class="profile-node-enabled" data-node="${escapeXml(node.id)}" ${enabled ? 'checked' : ''} ${locked}></td>
+                    <td>${escapeHtml(node.name)} <code>${escapeHtml(node.id)}</code></td>
+                    <td><code>${escapeHtml(node.field)}</code></td>
+                    <td>
+                        <select class="profile-node-severity" data-node="${escapeXml(node.id)}" ${enabled ? locked : 'disabled'}>
+                            <option value="">${node.severity} (default)</option>
+                            ${severityOptions}
+                        </select>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+        
+        this.setHTML('#profile-settings', `
+            <p class="rules-intro">
+                ${profile.builtIn
+                    ? `<strong>${escapeHtml(profile.name)}</strong> is built in and can't be edited - copy it to make your own.`
+                    : 'Changes apply to every mod in the session straight away.'}
+                Switch profiles with the <em>Validation</em> picker in the header.
+            </p>
+            <div class="profile-options">
+                <label class="rule-form-field">
+                    <span>Name</span>
+                    <input type="text" class="profile-name" value="${escapeXml(profile.name)}" ${readOnly}>
+                </label>
+                <label class="rule-form-field">
+                    <span>Fails on</span>
+                    <select class="profile-fail-on" ${readOnly}>${failOnOptions}</select>
+                </label>
+            </div>
+            <table class="profile-nodes">
+                <thead>
+                    <tr><th>On</th><th>Validator</th><th>Field</th><th>Severity</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `);
+    }
+    
+    handleProfileChange(target) {
+        if (this.profile.builtIn) return;
+        
+        if (target.classList.contains('profile-name')) {
+            this.updateProfile({ name: target.value });
+        } else if (target.classList.contains('profile-fail-on')) {
+            this.updateProfile({ failOn: target.value });
+        } else if (target.classList.contains('profile-node-enabled')) {
+            const severity = this.profile.nodes[target.dataset.node]?.severity;
+            this.updateProfile({ nodes: { ...this.profile.nodes, [target.dataset.node]: target.checked ? { severity } : { enabled: false } } });
+        } else if (target.classList.contains('profile-node-severity')) {
+            this.updateProfile({ nodes: { ...this.profile.nodes, [target.dataset.node]: { severity: target.value } } });
+        }
+    }
+    
+    updateProfile(changes) {
+        const updated = normalizeProfile({ ...this.profile, ...changes });
+        this.app.setCustomProfiles(this.app.customProfiles.map(profile => profile.id === updated.id ? updated : profile));
+    }
+    
+    /**
+     * Make an editable copy of the active profile and switch to it
+     */
+    copyProfile() {
+        const copy = normalizeProfile({ ...this.profile, id: null, name: `${this.profile.name} (copy)` });
+        this.app.setCustomProfiles([...this.app.customProfiles, copy], copy.id);
+    }
+    
+    deleteProfile() {
+        const profile = this.profile;
+        if (profile.builtIn || !confirm(`Delete the profile "${profile.name}"?`)) return;
+        
+        this.app.setCustomProfiles(this.app.customProfiles.filter(other => other.id !== profile.id), DEFAULT_PROFILE_ID);
+    }
+    
+    /**
+     * Rules and profiles aren't tied to the session, so clearing mods only drops the per-mod status
+     */
+    clear() {
+        this.currentMod = null;
+        this.zipArchive = null;
+        this.render();
+    }
+}
@@ -95,6 +95,18 @@ export default class StatisticsTab extends BaseTab {
         }
     }
     
+    onSessionChanged(mods) {
+        super.onSessionChanged(mods);
+        
+        // Pick up the new statuses for the mods this view already counts
+        for (const mod of mods) {
+            const existing = this.sessionMods.find(m => m.id === mod.id);
+            if (existing && existing !== mod) {
+                Object.assign(existing, mod);
+            }
+        }
+    }
+    
     onShow() {
         // Called when tab becomes visible - render immediately
         if (this.needsRender || !this.hasRendered) {
@@ -230,6 +242,9 @@ export default class StatisticsTab extends BaseTab {
             if (stats.failed === 1) {
                 statusText = 'Failed';
                 statusColor = STATUS_COLORS.error;
+            } else if (stats.cancelled === 1) {
+                statusText = 'Cancelled';
+                statusColor = STATUS_COLORS.cancelled;
             } else if (stats.validationFailed === 1) {
                 statusText = 'Validation Failed';
                 statusColor = STATUS_COLORS.warning;
@@ -260,6 +275,7 @@ export default class StatisticsTab extends BaseTab {
                 ${card('Successful', stats.successful, 'var(--success-color)')}
                 ${card('Validation Failed', stats.validationFailed || 0, 'var(--warning-color)')}
                 ${card('Failed', stats.failed, 'var(--error-color)')}
+                ${stats.cancelled > 0 ? card('Cancelled', stats.cancelled, STATUS_COLORS.cancelled) : ''}
                 ${card('Avg Processing Time', parser.formatDuration(stats.avgTime))}
                 ${card('Total Errors', stats.totalErrors, 'var(--error-color)')}
                 ${card('Validation Errors', stats.validationErrors, 'var(--warning-color)')}
@@ -298,6 +314,14 @@ export default class StatisticsTab extends BaseTab {
             });
         }
         
+        if (stats.cancelled > 0) {
+            segments.push({
+                label: 'Cancelled',
+                value: stats.cancelled,
+                color: STATUS_COLORS.cancelled
+            });
+        }
+        
         const { svg, legend } = createPieChart(segments, {
             radius: PIE_CHART_RADIUS,
             center: PIE_CHART_CENTER
@@ -84,6 +84,7 @@ export function exportToXML(stats, mods, mode) {
         <successful>${stats.successful}</successful>
         <validationFailed>${stats.validationFailed || 0}</validationFailed>
         <failed>${stats.failed}</failed>
+        <cancelled>${stats.cancelled || 0}</cancelled>
         <successRate>${stats.successRate}</successRate>
         <validationSuccessRate>${stats.validationSuccessRate}</validationSuccessRate>
         <avgProcessingTime>${stats.avgTime}</avgProcessingTime>
@@ -120,7 +121,7 @@ export function exportToXML(stats, mods, mode) {
             </analyzerErrors>
             <stderrErrors count="${stderrErrors.length}">
                 ${stderrErrors.map(e => `
-                <error>${escapeXml(e.message || e.line || '')}</error>
+                <error>${escapeXml(e.message)}</error>
                 `).join('')}
             </stderrErrors>
             <otherErrors count="${otherErrors.length}">
@@ -136,3 +137,48 @@ export function exportToXML(stats, mods, mode) {
     
     return xml;
 }
+
+/**
+ * Exports a version regression matrix to CSV format
+ * @param {Object} matrix - Matrix with versions (oldest first) and rows of per-version cells
+ * @returns {string} CSV formatted string (one row per mod, status and error columns per version)
+ */
+export function exportMatrixToCSV(matrix) {
+    const headers = [
+        'Filename',
+        ...matrix.versions.flatMap(version => [`${version} Status`, `${version} Errors`]),
+        'Status Changes'
+    ];
+    
+    const rows = matrix.rows.map(row => [
+        row.fileName,
+        ...matrix.versions.flatMap(version => {
+            const cell = row.cells[version];
+            return cell ? [cell.status, cell.errorCount] : ['', ''];
+        }),
+        row.changes
+            .map(change => `${change.from} -> ${change.to}: ${change.before} -> ${change.after}`)
+            .join('; ')
+    ]);
+    
+    return [headers, ...rows]
+        .map(row => row.map(escapeCsvCell).join(','))
+        .join('\n');
+}
+
+/**
+ * Exports a version regression matrix to JSON format
+ * @param {Object} matrix - Matrix with versions (oldest first) and rows of per-version cells
+ * @returns {string} Pretty-printed JSON string
+ */
+export function exportMatrixToJSON(matrix) {
+    return JSON.stringify({
+        generatedAt: matrix.generatedAt,
+        versions: matrix.versions,
+        mods: matrix.rows.map(row => ({
+            fileName: row.fileName,
+            results: row.cells,
+            changes: row.changes
+        }))
+    }, null, 2);
+}
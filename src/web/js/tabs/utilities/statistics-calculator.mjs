@@ -1,6 +1,6 @@
 // Statistics Calculation Utilities - Pure calculation logic for mod statistics
 
-import * as parser from '../../parser.mjs';
+import { filterBySeverity } from '../../diagnostics.mjs';
 
 /**
  * Calculates comprehensive statistics for one or more mods
@@ -16,6 +16,10 @@ export function calculateStatistics(mods, options = {}) {
     const successful = modArray.filter(m => m.status === 'success').length;
     const validationFailed = modArray.filter(m => m.status === 'validation-failed').length;
     const failed = modArray.filter(m => m.status === 'failed').length;
+    const cancelled = modArray.filter(m => m.status === 'cancelled').length;
+    
+    // Cancelled mods were never fully analyzed, so they don't count towards success rates
+    const attempted = total - cancelled;
     
     // Processing time statistics
     const processingTimes = modArray
@@ -45,7 +49,8 @@ export function calculateStatistics(mods, options = {}) {
         // Use pre-categorized errors (from refactor-tab-rendering-architecture)
         const valErrors = mod.errorCategories?.validation?.length || 0;
         const analErrors = mod.errorCategories?.analyzer?.length || 0;
-        const stderrErrs = mod.errorCategories?.stderr?.length || 0;
+        const stderrDiagnostics = filterBySeverity(mod.diagnostics, 'error');
+        const stderrErrs = stderrDiagnostics.length;
         const othErrors = mod.errorCategories?.other?.length || 0;
         
         totalValidationErrors += valErrors;
@@ -76,18 +81,10 @@ export function calculateStatistics(mods, options = {}) {
             });
         }
         
-        // Track stderr error messages with cleaning and occurrence counts
-        if (mod.errorCategories?.stderr) {
-            mod.errorCategories.stderr.forEach(error => {
-                const msg = error.message || error.line || '';
-                if (msg) {
-                    const cleanMsg = parser.cleanErrorMessage(msg);
-                    if (cleanMsg) {
-                        stderrMessages[cleanMsg] = (stderrMessages[cleanMsg] || 0) + 1;
-                    }
-                }
-            });
-        }
+        // Track stderr error messages with occurrence counts (diagnostics carry no location prefix)
+        stderrDiagnostics.forEach(diagnostic => {
+            stderrMessages[diagnostic.message] = (stderrMessages[diagnostic.message] || 0) + 1;
+        });
         
         // Track analyzer error messages with occurrence counts
         if (mod.errorCategories?.analyzer) {
@@ -140,8 +137,9 @@ export function calculateStatistics(mods, options = {}) {
         successful,
         validationFailed,
         failed,
-        successRate: total > 0 ? ((successful + validationFailed) / total * 100).toFixed(1) : 0,
-        validationSuccessRate: total > 0 ? (successful / total * 100).toFixed(1) : 0,
+        cancelled,
+        successRate: attempted > 0 ? ((successful + validationFailed) / attempted * 100).toFixed(1) : 0,
+        validationSuccessRate: attempted > 0 ? (successful / attempted * 100).toFixed(1) : 0,
         avgTime,
         minTime,
         maxTime,
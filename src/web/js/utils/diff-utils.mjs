@@ -0,0 +1,124 @@
+// Diff utilities - line, object and set comparisons for analyzer output
+
+// Above this many cells the LCS table gets too big - fall back to a plain set comparison
+const MAX_LCS_CELLS = 1_000_000;
+
+/**
+ * Compute a line diff between two texts
+ * @param {string|Array<string>} before - Original text or lines
+ * @param {string|Array<string>} after - New text or lines
+ * @returns {Array<{type: 'same'|'added'|'removed', line: string}>} Diff entries in order
+ */
+export function diffLines(before, after) {
+    const a = Array.isArray(before) ? before : splitLines(before);
+    const b = Array.isArray(after) ? after : splitLines(after);
+    
+    if (a.length * b.length > MAX_LCS_CELLS) {
+        const { added, removed, unchanged } = diffSets(a, b);
+        return [
+            ...unchanged.map(line => ({ type: 'same', line })),
+            ...removed.map(line => ({ type: 'removed', line })),
+            ...added.map(line => ({ type: 'added', line }))
+        ];
+    }
+    
+    // Longest common subsequence table, filled from the end
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j]
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+    
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            result.push({ type: 'same', line: a[i] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            result.push({ type: 'removed', line: a[i++] });
+        } else {
+            result.push({ type: 'added', line: b[j++] });
+        }
+    }
+    while (i < a.length) result.push({ type: 'removed', line: a[i++] });
+    while (j < b.length) result.push({ type: 'added', line: b[j++] });
+    
+    return result;
+}
+
+/**
+ * Split text into lines, dropping a trailing empty line
+ */
+function splitLines(text) {
+    if (!text) return [];
+    const lines = String(text).split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+/**
+ * Compare two collections as sets
+ * @param {Array} before - Original items
+ * @param {Array} after - New items
+ * @param {Function} [keyFn] - Maps an item to its identity (defaults to the item itself)
+ * @returns {{added: Array, removed: Array, unchanged: Array}}
+ */
+export function diffSets(before = [], after = [], keyFn = item => item) {
+    const beforeKeys = new Set(before.map(keyFn));
+    const afterKeys = new Set(after.map(keyFn));
+    
+    return {
+        added: after.filter(item => !beforeKeys.has(keyFn(item))),
+        removed: before.filter(item => !afterKeys.has(keyFn(item))),
+        unchanged: after.filter(item => beforeKeys.has(keyFn(item)))
+    };
+}
+
+/**
+ * Recursively compare two JSON-like values
+ * @param {*} before - Original value
+ * @param {*} after - New value
+ * @param {string} [path=''] - Path of the values being compared
+ * @returns {Array<{path: string, type: 'added'|'removed'|'changed', before: *, after: *}>} Differences
+ */
+export function diffObjects(before, after, path = '') {
+    if (isContainer(before) && isContainer(after) && Array.isArray(before) === Array.isArray(after)) {
+        const changes = [];
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        
+        for (const key of keys) {
+            const childPath = Array.isArray(before) ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+            
+            if (!(key in before)) {
+                changes.push({ path: childPath, type: 'added', before: undefined, after: after[key] });
+            } else if (!(key in after)) {
+                changes.push({ path: childPath, type: 'removed', before: before[key], after: undefined });
+            } else {
+                changes.push(...diffObjects(before[key], after[key], childPath));
+            }
+        }
+        
+        return changes;
+    }
+    
+    if (before === after || (before !== before && after !== after)) {
+        return [];
+    }
+    
+    if (before === undefined) return [{ path, type: 'added', before, after }];
+    if (after === undefined) return [{ path, type: 'removed', before, after }];
+    return [{ path, type: 'changed', before, after }];
+}
+
+/**
+ * Check if a value is an object or array that can be walked
+ */
+function isContainer(value) {
+    return value !== null && typeof value === 'object';
+}
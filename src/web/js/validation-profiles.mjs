@@ -0,0 +1,109 @@
+// Validation Profiles - named strictness levels for the validation registry
+// A profile is plain data, applied with ValidationRegistry.setProfile():
+//   { id, name, failOn: 'error'|'warning'|'info', nodes: { [nodeId]: { enabled: false } | { severity } } }
+// failOn is the least severe issue that still fails a mod; nodes override single validators by id
+
+import { SEVERITIES } from './validation.mjs';
+
+const STORAGE_KEY = 'modAnalyzer:validationProfiles';
+
+export const DEFAULT_PROFILE_ID = 'standard';
+
+/**
+ * Profiles that ship with the tool (read-only; copy one to customize it)
+ */
+export const BUILT_IN_PROFILES = [
+    {
+        id: 'standard',
+        name: 'Standard',
+        builtIn: true,
+        failOn: 'error',
+        nodes: {}
+    },
+    {
+        id: 'development',
+        name: 'Local development',
+        builtIn: true,
+        failOn: 'error',
+        nodes: {
+            'stderr-warnings': { enabled: false },
+            'version-valid': { severity: 'warning' }
+        }
+    },
+    {
+        id: 'submission',
+        name: 'Server submission',
+        builtIn: true,
+        failOn: 'warning',
+        nodes: {
+            'stderr-warnings': { severity: 'error' }
+        }
+    }
+];
+
+/**
+ * Fill in defaults and drop overrides that don't change anything
+ * @param {Object} profile - Profile as edited or stored
+ * @returns {Object} Profile ready to store
+ */
+export function normalizeProfile(profile) {
+    const nodes = {};
+    for (const [nodeId, override] of Object.entries(profile.nodes || {})) {
+        if (override?.enabled === false) {
+            nodes[nodeId] = { enabled: false };
+        } else if (SEVERITIES.includes(override?.severity)) {
+            nodes[nodeId] = { severity: override.severity };
+        }
+    }
+    
+    return {
+        id: profile.id || `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        name: String(profile.name || '').trim() || 'Untitled profile',
+        failOn: SEVERITIES.includes(profile.failOn) ? profile.failOn : 'error',
+        nodes
+    };
+}
+
+/**
+ * Built-in profiles followed by the user's own
+ * @param {Array<Object>} customProfiles - Stored profiles
+ */
+export function getProfiles(customProfiles) {
+    return [...BUILT_IN_PROFILES, ...customProfiles];
+}
+
+/**
+ * Look up a profile by id, falling back to the standard profile
+ * @param {string} id - Profile id
+ * @param {Array<Object>} customProfiles - Stored profiles
+ * @returns {Object} Profile
+ */
+export function findProfile(id, customProfiles = []) {
+    return getProfiles(customProfiles).find(profile => profile.id === id) || BUILT_IN_PROFILES[0];
+}
+
+/**
+ * Read the user's stored profiles
+ * @returns {Array<Object>} Profiles, or an empty list if none are stored or storage is unavailable
+ */
+export function loadCustomProfiles() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        return Array.isArray(saved) ? saved.map(normalizeProfile) : [];
+    } catch (error) {
+        console.warn('Failed to load validation profiles:', error);
+        return [];
+    }
+}
+
+/**
+ * Store the user's profiles
+ * @param {Array<Object>} profiles - Normalized profiles (built-in ones are never stored)
+ */
+export function saveCustomProfiles(profiles) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+    } catch (error) {
+        console.warn('Failed to save validation profiles:', error);
+    }
+}
@@ -23,7 +23,19 @@
  * const result = registry.validate(modData);
  * console.log(result.counts.errors); // Number of errors
  * console.log(result.hasErrors()); // Boolean
+ * 
+ * // Validate with a profile (see validation-profiles.mjs)
+ * registry.setProfile({ id: 'strict', name: 'Strict', failOn: 'warning', nodes: { 'stderr-warnings': { severity: 'error' } } });
+ * console.log(registry.validate(modData).fails()); // Boolean
+ */
+
+import { filterBySeverity } from './diagnostics.mjs';
+import { validateSemver } from './semver.mjs';
+
+/**
+ * Issue severities, most severe first
  */
+export const SEVERITIES = ['error', 'warning', 'info'];
 
 /**
  * Represents a single validation check
@@ -36,13 +48,15 @@ export class ValidationNode {
      * @param {string} config.field - Which field is being validated
      * @param {'error'|'warning'|'info'} config.severity - Severity level
      * @param {function(Object): {message: string, value: any}|null} config.check - Validation function
+     * @param {boolean} [config.locked] - Profiles can't disable it or change its severity
      */
-    constructor({ id, name, field, severity, check }) {
+    constructor({ id, name, field, severity, check, locked = false }) {
         this.id = id;
         this.name = name;
         this.field = field;
         this.severity = severity;
         this.check = check;
+        this.locked = locked;
     }
     
     /**
@@ -72,9 +86,11 @@ export class ValidationNode {
 export class ValidationResult {
     /**
      * @param {Array} issues - Array of validation issues
+     * @param {Object} [profile] - Profile the issues were found with, null for the validators' own settings
      */
-    constructor(issues) {
+    constructor(issues, profile = null) {
         this.issues = issues;
+        this.profile = profile;
         
         // Index by field for quick lookup
         this.byField = new Map();
@@ -116,6 +132,15 @@ export class ValidationResult {
     hasIssues() {
         return this.counts.total > 0;
     }
+    
+    /**
+     * Check if the issues fail validation: any error, or anything at least as severe as the profile's failOn
+     * @returns {boolean}
+     */
+    fails() {
+        const threshold = SEVERITIES.indexOf(this.profile?.failOn || 'error');
+        return this.issues.some(issue => SEVERITIES.indexOf(issue.severity) <= threshold);
+    }
 }
 
 /**
@@ -124,6 +149,7 @@ export class ValidationResult {
 export class ValidationRegistry {
     constructor() {
         this.nodes = [];
+        this.profile = null;
     }
     
     /**
@@ -136,6 +162,16 @@ export class ValidationRegistry {
         return this;
     }
     
+    /**
+     * Set the profile that enables, disables and re-grades nodes
+     * @param {Object|null} profile - { id, name, failOn, nodes: { [nodeId]: { enabled, severity } } }
+     * @returns {ValidationRegistry} - For chaining
+     */
+    setProfile(profile) {
+        this.profile = profile;
+        return this;
+    }
+    
     /**
      * Run all validation checks on a mod
      * @param {Object} mod - Mod data to validate
@@ -144,13 +180,16 @@ export class ValidationRegistry {
     validate(mod) {
         const issues = [];
         for (const node of this.nodes) {
+            const override = node.locked ? null : this.profile?.nodes?.[node.id];
+            if (override?.enabled === false) continue;
+            
             const issue = node.validate(mod);
             if (issue) {
-                issues.push(issue);
+                issues.push(override?.severity ? { ...issue, severity: override.severity } : issue);
             }
         }
         
-        return new ValidationResult(issues);
+        return new ValidationResult(issues, this.profile);
     }
 }
 
@@ -266,6 +305,14 @@ export function createDefaultRegistry() {
                     value: version 
                 };
             }
+            
+            const problem = validateSemver(String(version));
+            if (problem) {
+                return {
+                    message: `Mod version "${version}" is not a valid semantic version: ${problem}`,
+                    value: version
+                };
+            }
             return null;
         }
     }));
@@ -290,15 +337,15 @@ export function createDefaultRegistry() {
         }
     }));
     
-    // Stderr errors validator (uses mod.errors from extractErrors)
+    // Stderr errors validator (uses mod.diagnostics from diagnostics.mjs)
     registry.register(new ValidationNode({
         id: 'stderr-errors',
         name: 'Stderr Errors',
         field: 'errors',
         severity: 'error',
         check: (mod) => {
-            // Count all non-context stderr errors
-            const count = mod.errors?.filter(e => !e.isContext && e.type === 'error').length || 0;
+            // Warnings don't fail a mod
+            const count = filterBySeverity(mod.diagnostics, 'error').length;
             
             if (count > 0) {
                 return { 
@@ -310,12 +357,32 @@ export function createDefaultRegistry() {
         }
     }));
     
-    // Analyzer failure validator
+    // Stderr warnings validator - doesn't fail a mod unless a profile makes it
+    registry.register(new ValidationNode({
+        id: 'stderr-warnings',
+        name: 'Stderr Warnings',
+        field: 'warnings',
+        severity: 'warning',
+        check: (mod) => {
+            const count = filterBySeverity(mod.diagnostics, 'warning').length;
+            
+            if (count > 0) {
+                return {
+                    message: `Mod has ${count} stderr warning(s)`,
+                    value: count
+                };
+            }
+            return null;
+        }
+    }));
+    
+    // Analyzer failure validator (locked - the mod's failed status depends on it)
     registry.register(new ValidationNode({
         id: 'analyzer-success',
         name: 'Analyzer Success',
         field: 'analyzer',
         severity: 'error',
+        locked: true,
         check: (mod) => {
             // Check for analyzer-level failure
             if (mod.result?.success === false && mod.result?.error) {
@@ -0,0 +1,157 @@
+// WASM Cache - compiled analyzer modules kept in memory, analyzer builds kept in Cache Storage
+// Shared by the worker (compiling) and the main thread (showing what is cached, offline downloads)
+// The service worker (sw.js) answers version requests from the same cache
+
+const CACHE_NAME = 'onb-mod-analyzer-wasm';
+
+// Files that make up an analyzer build; metadata.json is missing from some builds
+const VERSION_FILES = ['onb_mod_file.mjs', 'onb_mod_file.wasm', 'metadata.json'];
+const REQUIRED_VERSION_FILES = ['onb_mod_file.mjs', 'onb_mod_file.wasm'];
+
+// Compiled modules for this thread, by version
+const compiledModules = new Map();
+
+/**
+ * URL of a version's wasm file (resolved from this module so worker and page agree)
+ * @param {string} version - Analyzer version
+ * @returns {string} Absolute URL
+ */
+export function getWasmUrl(version) {
+    return getVersionFileUrl(version, 'onb_mod_file.wasm');
+}
+
+function getVersionFileUrl(version, file) {
+    return new URL(`../versions/${version}/${file}`, import.meta.url).href;
+}
+
+/**
+ * Open the wasm cache, or null where Cache Storage isn't available (e.g. plain http)
+ */
+async function openCache() {
+    if (typeof caches === 'undefined') return null;
+    
+    try {
+        return await caches.open(CACHE_NAME);
+    } catch (error) {
+        console.warn('WASM cache unavailable:', error);
+        return null;
+    }
+}
+
+/**
+ * Get the compiled module for a version, compiling it at most once
+ * Released versions never change, so their bytes are cached for later visits;
+ * 'latest' is a moving alias and is always fetched
+ * @param {string} version - Analyzer version
+ * @returns {Promise<WebAssembly.Module>} Compiled module
+ */
+export async function compileWasm(version) {
+    if (compiledModules.has(version)) {
+        return compiledModules.get(version);
+    }
+    
+    const url = getWasmUrl(version);
+    const cache = version === 'latest' ? null : await openCache();
+    let response = await cache?.match(url);
+    
+    if (!response) {
+        response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch analyzer ${version}: ${response.status} ${response.statusText}`);
+        }
+        
+        // A failed write only costs a download next time
+        await cache?.put(url, response.clone()).catch(error => console.warn('Failed to cache WASM:', error));
+    }
+    
+    const module = await WebAssembly.compileStreaming(response);
+    compiledModules.set(version, module);
+    return module;
+}
+
+/**
+ * Remember a module compiled elsewhere (another worker) so it isn't compiled again
+ * @param {string} version - Analyzer version
+ * @param {WebAssembly.Module} module - Compiled module
+ */
+export function rememberModule(version, module) {
+    compiledModules.set(version, module);
+}
+
+/**
+ * Files of each version that are in Cache Storage
+ * @returns {Promise<Map<string, Set<string>>>} version -> cached file names
+ */
+async function getCachedVersionFiles() {
+    const cache = await openCache();
+    const versions = new Map();
+    if (!cache) return versions;
+    
+    for (const request of await cache.keys()) {
+        const match = new URL(request.url).pathname.match(/\/versions\/([^/]+)\/([^/]+)$/);
+        if (match) {
+            const version = decodeURIComponent(match[1]);
+            if (!versions.has(version)) versions.set(version, new Set());
+            versions.get(version).add(match[2]);
+        }
+    }
+    return versions;
+}
+
+/**
+ * Versions whose wasm bytes are in Cache Storage (compiled on an earlier visit)
+ * @returns {Promise<Set<string>>} Cached version names
+ */
+export async function getCachedVersions() {
+    const versions = new Set();
+    for (const [version, files] of await getCachedVersionFiles()) {
+        if (files.has('onb_mod_file.wasm')) versions.add(version);
+    }
+    return versions;
+}
+
+/**
+ * Versions with every file needed to load them without a network
+ * @returns {Promise<Set<string>>} Offline version names
+ */
+export async function getOfflineVersions() {
+    const versions = new Set();
+    for (const [version, files] of await getCachedVersionFiles()) {
+        if (REQUIRED_VERSION_FILES.every(file => files.has(file))) versions.add(version);
+    }
+    return versions;
+}
+
+/**
+ * Download a whole analyzer build into Cache Storage so it can be used offline
+ * @param {string} version - Analyzer version
+ */
+export async function downloadVersion(version) {
+    const cache = await openCache();
+    if (!cache) {
+        throw new Error('Offline storage is not available in this browser (it needs https or localhost)');
+    }
+    
+    // Fetch everything before storing anything so a failed download leaves no half-saved build
+    const responses = await Promise.all(VERSION_FILES.map(async (file) => {
+        const url = getVersionFileUrl(version, file);
+        const response = await fetch(url, { cache: 'reload' });
+        if (!response.ok && REQUIRED_VERSION_FILES.includes(file)) {
+            throw new Error(`Failed to download ${file} for ${version}: ${response.status} ${response.statusText}`);
+        }
+        return response.ok ? { url, response } : null;
+    }));
+    
+    await Promise.all(responses.filter(Boolean).map(({ url, response }) => cache.put(url, response)));
+}
+
+/**
+ * Remove a downloaded analyzer build from Cache Storage
+ * @param {string} version - Analyzer version
+ */
+export async function removeVersion(version) {
+    const cache = await openCache();
+    if (!cache) return;
+    
+    await Promise.all(VERSION_FILES.map(file => cache.delete(getVersionFileUrl(version, file))));
+}
@@ -0,0 +1,370 @@
+// Worker Pool - runs mod analysis across several WASM workers in parallel
+
+const WORKER_URL = './js/worker.mjs';
+
+// Default time allowed for one job - callers normally pass the user's preference
+const PROCESS_TIMEOUT = 2000;
+
+// Compiling the WASM module can take a while, especially with several workers at once
+const INIT_TIMEOUT = 30000;
+
+// Each worker holds its own WASM instance, so cap the pool to keep memory in check
+const MAX_WORKERS = 8;
+
+/**
+ * Pick a pool size from the number of logical cores, leaving one for the UI thread
+ * @returns {number} Number of workers to start
+ */
+export function getPoolSize() {
+    const cores = navigator.hardwareConcurrency || 2;
+    return Math.max(1, Math.min(MAX_WORKERS, cores - 1));
+}
+
+/**
+ * Error used when a job is cancelled by the user
+ */
+function createCancelError() {
+    const error = new Error('Cancelled by user');
+    error.isCancelled = true;
+    return error;
+}
+
+/**
+ * A single analyzer worker with request/response messaging and crash recovery
+ */
+class PoolWorker {
+    constructor(index, modules = new Map()) {
+        this.index = index;
+        this.modules = modules; // Compiled WASM modules and their options, shared across the pool by version
+        this.worker = null;
+        this.ready = false;
+        this.busy = false;
+        this.version = null;
+        this.options = []; // Options reported by the loaded analyzer
+    }
+    
+    /**
+     * Start the worker and load the given analyzer version
+     * @param {string} version - Analyzer version to load
+     */
+    async start(version) {
+        // Terminate existing worker if any
+        this.terminate();
+        
+        this.worker = new Worker(WORKER_URL, { type: 'module' });
+        
+        // Wait for worker ready
+        await new Promise((resolve, reject) => {
+            const handler = (event) => {
+                if (event.data.type === 'worker-ready') {
+                    this.worker.removeEventListener('message', handler);
+                    resolve();
+                }
+            };
+            this.worker.addEventListener('message', handler);
+            this.worker.addEventListener('error', reject, { once: true });
+        });
+        
+        // Initialize WASM
+        const result = await this.send('init', { version, ...this.modules.get(version) }, INIT_TIMEOUT);
+        if (result && result.success === false) {
+            throw new Error(result.error || `Failed to load analyzer ${version}`);
+        }
+        
+        this.rememberModule(version, result);
+        this.version = version;
+        this.options = result?.options || [];
+        this.ready = true;
+    }
+    
+    /**
+     * Keep the module a worker compiled so the rest of the pool can reuse it
+     * The options it reported go with it - workers handed the module don't ask the analyzer again
+     */
+    rememberModule(version, result) {
+        if (result?.module && !this.modules.has(version)) {
+            this.modules.set(version, { module: result.module, options: result.options || [] });
+        }
+    }
+    
+    /**
+     * Recreate the worker after a timeout or crash
+     * @param {string} version - Analyzer version to load
+     */
+    async reinit(version) {
+        this.ready = false;
+        try {
+            await this.start(version);
+        } catch (error) {
+            console.error(`Failed to reinitialize worker ${this.index}:`, error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Send a message and wait for the matching response
+     * @param {string} type - Message type
+     * @param {Object} payload - Message payload
+     * @param {number} timeout - Milliseconds before the request is considered hung
+     * @param {AbortSignal} [signal] - Aborts the request (the worker must then be restarted)
+     * @param {Function} [onLog] - Called with each { text } the analyzer prints before responding
+     * @returns {Promise<Object>} Response payload
+     */
+    send(type, payload, timeout = PROCESS_TIMEOUT, signal = null, onLog = null) {
+        return new Promise((resolve, reject) => {
+            const id = Date.now() + Math.random();
+            const worker = this.worker;
+            
+            const cleanup = () => {
+                clearTimeout(timer);
+                worker.removeEventListener('message', handler);
+                worker.removeEventListener('error', errorHandler);
+                signal?.removeEventListener('abort', abortHandler);
+            };
+            
+            const handler = (event) => {
+                if (event.data.id !== id) return;
+                
+                // Output streamed while the request runs - the response is still to come
+                if (event.data.type === 'log') {
+                    onLog?.(event.data.payload);
+                    return;
+                }
+                
+                cleanup();
+                resolve(event.data.payload);
+            };
+            
+            // Uncaught errors inside the worker (e.g. a WASM trap) never produce a response
+            const errorHandler = (event) => {
+                cleanup();
+                const error = new Error(`Worker crashed: ${event.message || 'unknown error'}`);
+                error.isCrash = true;
+                reject(error);
+            };
+            
+            const abortHandler = () => {
+                cleanup();
+                reject(createCancelError());
+            };
+            
+            const timer = setTimeout(() => {
+                cleanup();
+                const error = new Error(`Worker timeout - parsing took longer than ${timeout / 1000} seconds`);
+                error.isTimeout = true; // Mark as timeout for worker recreation
+                reject(error);
+            }, timeout);
+            
+            worker.addEventListener('message', handler);
+            worker.addEventListener('error', errorHandler);
+            signal?.addEventListener('abort', abortHandler);
+            worker.postMessage({ type, payload, id });
+        });
+    }
+    
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.ready = false;
+    }
+}
+
+export class WorkerPool {
+    /**
+     * @param {number} [size] - Number of workers
+     * @param {Map} [modules] - Compiled modules and their options to share with another pool, by version
+     */
+    constructor(size = getPoolSize(), modules = new Map()) {
+        this.size = size;
+        this.workers = [];
+        this.version = null;
+        this.queue = [];
+        this.activeJobs = new Set();
+        this.paused = false;
+        this.modules = modules; // version -> { module: compiled WebAssembly.Module, options }, kept for the page's lifetime
+    }
+    
+    /**
+     * Start all workers with the given analyzer version
+     * @param {string} version - Analyzer version to load
+     */
+    async init(version) {
+        this.terminate();
+        this.version = version;
+        this.workers = Array.from({ length: this.size }, (_, i) => new PoolWorker(i, this.modules));
+        
+        // One worker compiles the module first so the others can reuse it instead of compiling in parallel
+        const [first, ...rest] = this.workers;
+        const results = [
+            ...await Promise.allSettled([first.start(version)]),
+            ...await Promise.allSettled(rest.map(w => w.start(version)))
+        ];
+        const failures = results.filter(r => r.status === 'rejected');
+        
+        // A partially started pool is still usable
+        if (failures.length === this.workers.length) {
+            throw failures[0].reason;
+        }
+        if (failures.length > 0) {
+            console.warn(`${failures.length} of ${this.size} analyzer workers failed to start`);
+        }
+        
+        this.dispatch();
+    }
+    
+    /**
+     * Options supported by the loaded analyzer version (all workers run the same build)
+     */
+    get options() {
+        return this.workers.find(w => w.ready)?.options || [];
+    }
+    
+    /**
+     * Number of workers that are loaded and accepting jobs
+     */
+    get readyCount() {
+        return this.workers.filter(w => w.ready).length;
+    }
+    
+    /**
+     * Queue a job and resolve with the worker's response
+     * @param {string} type - Message type (e.g. 'process')
+     * @param {Object} payload - Message payload
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - Milliseconds before the job is considered hung
+     * @param {AbortSignal} [options.signal] - Cancels the job, terminating its worker if it already started
+     * @param {Function} [options.onStart] - Called when a worker picks the job up
+     * @param {Function} [options.onLog] - Called with each { text } the analyzer prints while the job runs
+     * @returns {Promise<Object>} Response payload
+     */
+    run(type, payload, { timeout = PROCESS_TIMEOUT, signal = null, onStart = null, onLog = null } = {}) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(createCancelError());
+                return;
+            }
+            
+            const job = { type, payload, timeout, signal, onStart, onLog, resolve, reject };
+            this.queue.push(job);
+            
+            // Cancelling a job that hasn't started just takes it out of the queue
+            signal?.addEventListener('abort', () => {
+                const index = this.queue.indexOf(job);
+                if (index !== -1) {
+                    this.queue.splice(index, 1);
+                    reject(createCancelError());
+                }
+            }, { once: true });
+            
+            this.dispatch();
+        });
+    }
+    
+    /**
+     * Hand queued jobs to idle workers
+     */
+    dispatch() {
+        if (this.paused) return;
+        
+        for (const poolWorker of this.workers) {
+            if (this.queue.length === 0) break;
+            if (!poolWorker.ready || poolWorker.busy) continue;
+            
+            const job = this.queue.shift();
+            const running = this.runJob(poolWorker, job);
+            this.activeJobs.add(running);
+            running.finally(() => this.activeJobs.delete(running));
+        }
+        
+        // Nothing left that could ever pick up the queue
+        if (this.queue.length > 0 && this.workers.every(w => !w.ready && !w.busy)) {
+            const error = new Error('No analyzer workers available');
+            for (const job of this.queue.splice(0)) {
+                job.reject(error);
+            }
+        }
+    }
+    
+    async runJob(poolWorker, job) {
+        poolWorker.busy = true;
+        
+        try {
+            job.onStart?.();
+            job.resolve(await poolWorker.send(job.type, job.payload, job.timeout, job.signal, job.onLog));
+        } catch (error) {
+            job.reject(error);
+            
+            // A hung, crashed or cancelled worker can't be trusted with the next job
+            if (error.isTimeout || error.isCrash || error.isCancelled) {
+                try {
+                    await poolWorker.reinit(this.version);
+                } catch (reinitError) {
+                    console.error('Worker left out of the pool:', reinitError);
+                }
+            }
+        } finally {
+            poolWorker.busy = false;
+            this.dispatch();
+        }
+    }
+    
+    /**
+     * Load a different analyzer version in every worker
+     * Queued jobs wait until the switch is done; running jobs finish on the old version
+     * @param {string} version - Analyzer version to load
+     */
+    async switchVersion(version) {
+        this.paused = true;
+        
+        try {
+            await Promise.allSettled([...this.activeJobs]);
+            
+            const switchWorker = async (poolWorker) => {
+                if (!poolWorker.ready) {
+                    return poolWorker.reinit(version);
+                }
+                try {
+                    const result = await poolWorker.send('switch-version', { version, ...this.modules.get(version) }, INIT_TIMEOUT);
+                    if (result && result.success === false) {
+                        throw new Error(result.error || `Failed to load analyzer ${version}`);
+                    }
+                    poolWorker.rememberModule(version, result);
+                    poolWorker.version = version;
+                    poolWorker.options = result?.options || [];
+                } catch (error) {
+                    // The worker dropped its old instance, so it can't serve either version now
+                    poolWorker.ready = false;
+                    throw error;
+                }
+            };
+            
+            // Same as init: the first worker compiles a version that hasn't been loaded yet
+            const [first, ...rest] = this.workers;
+            const results = this.modules.has(version)
+                ? await Promise.allSettled(this.workers.map(switchWorker))
+                : [
+                    ...await Promise.allSettled([first].filter(Boolean).map(switchWorker)),
+                    ...await Promise.allSettled(rest.map(switchWorker))
+                ];
+            
+            const failure = results.find(r => r.status === 'rejected');
+            if (failure && this.readyCount === 0) {
+                throw failure.reason;
+            }
+            
+            this.version = version;
+        } finally {
+            this.paused = false;
+            this.dispatch();
+        }
+    }
+    
+    terminate() {
+        for (const poolWorker of this.workers) {
+            poolWorker.terminate();
+        }
+        this.workers = [];
+    }
+}
@@ -1,21 +1,44 @@
 // Web Worker for WASM processing
 // Isolates WASM execution from main thread to prevent UI blocking
 
+import { runAnalyzer, discoverOptions } from './analysis-core.mjs';
+import { compileWasm, rememberModule } from './wasm-cache.mjs';
+
 let wasmInstance = null;
 let wasmReady = false;
 let currentVersion = null;
 
-// Load WASM module
-async function loadWasm(version = 'latest') {
+// Request whose analysis is running, so printed output can be tagged with it
+let currentRequestId = null;
+let currentLog = [];
+
+// Dart's print() calls this hook if it exists (onb_mod_file.mjs printToConsole)
+// Output is streamed to the main thread while the analysis is still running
+globalThis.dartPrint = (value) => {
+    const text = String(value);
+    
+    if (currentRequestId === null) {
+        console.log(text);
+        return;
+    }
+    
+    currentLog.push(text);
+    self.postMessage({ type: 'log', payload: { text }, id: currentRequestId });
+};
+
+// Load WASM module (module and options are passed in when another worker already loaded this version)
+async function loadWasm(version = 'latest', module = null, options = null) {
     try {
         const basePath = `../versions/${version}`;
         
         // Import the compiled WASM module
         const wasmImport = await import(`${basePath}/onb_mod_file.mjs`);
         
-        // Load the WASM file
-        const wasmPath = `${basePath}/onb_mod_file.wasm`;
-        const wasmModule = await WebAssembly.compileStreaming(fetch(wasmPath));
+        // Compile the WASM file, or reuse a cached compile
+        if (module) {
+            rememberModule(version, module);
+        }
+        const wasmModule = module || await compileWasm(version);
         
         // Instantiate using Dart's instantiate function
         wasmInstance = await wasmImport.instantiate(wasmModule, {});
@@ -26,7 +49,9 @@ async function loadWasm(version = 'latest') {
         wasmReady = true;
         currentVersion = version;
         
-        return { success: true, version };
+        // The module goes back to the pool so other and restarted workers can skip compiling,
+        // and the options with it, since asking the analyzer means running it once
+        return { success: true, version, options: options || discoverOptions(), module: wasmModule };
     } catch (error) {
         console.error('Failed to load WASM module:', error);
         return { 
@@ -38,41 +63,19 @@ async function loadWasm(version = 'latest') {
 }
 
 // Process mod file with WASM
-async function processModFile(fileData, options = {}) {
+async function processModFile(fileData, options = {}, requestId = null) {
     if (!wasmReady) {
         throw new Error('WASM module not loaded');
     }
     
+    currentRequestId = requestId;
+    currentLog = [];
+    
     try {
-        const startTime = performance.now();
-        
-        // Convert ArrayBuffer to Uint8Array
-        const bytes = new Uint8Array(fileData);
-        
-        // Call the WASM function (exported to globalThis by Dart main)
-        const resultJson = globalThis.analyzeModFile(bytes, options || null);
-        
-        // Parse the result
-        const result = JSON.parse(resultJson);
-        
-        const processingTime = performance.now() - startTime;
-        
-        return {
-            success: result.success,
-            data: result.json || null,
-            stdout: result.stdout || '',
-            stderr: result.stderr || '',
-            error: result.error || null,
-            processingTime,
-            version: currentVersion
-        };
-    } catch (error) {
-        return {
-            success: false,
-            error: error.message,
-            stack: error.stack,
-            processingTime: 0
-        };
+        const result = runAnalyzer(globalThis.analyzeModFile, fileData, options);
+        return { ...result, log: currentLog.join('\n'), version: currentVersion };
+    } finally {
+        currentRequestId = null;
     }
 }
 
@@ -83,14 +86,14 @@ self.addEventListener('message', async (event) => {
     try {
         switch (type) {
             case 'init':
-                const initResult = await loadWasm(payload.version);
+                const initResult = await loadWasm(payload.version, payload.module, payload.options);
                 self.postMessage({ 
                     type: 'init-complete', 
                     payload: initResult, 
                     id 
                 });
                 break;
-                
+            
             case 'process':
                 if (!wasmReady) {
                     self.postMessage({
@@ -103,7 +106,8 @@ self.addEventListener('message', async (event) => {
                 
                 const result = await processModFile(
                     payload.fileData, 
-                    payload.options
+                    payload.options,
+                    id
                 );
                 
                 self.postMessage({
@@ -116,18 +120,18 @@ self.addEventListener('message', async (event) => {
                     id
                 });
                 break;
-                
+            
             case 'switch-version':
                 wasmReady = false;
                 wasmInstance = null;
-                const switchResult = await loadWasm(payload.version);
+                const switchResult = await loadWasm(payload.version, payload.module, payload.options);
                 self.postMessage({
                     type: 'version-switched',
                     payload: switchResult,
                     id
                 });
                 break;
-                
+            
             default:
                 self.postMessage({
                     type: 'error',
@@ -0,0 +1,140 @@
+// Service Worker - keeps the analyzer usable offline
+// Classic script (not a module) so it registers in every browser that supports service workers
+
+// Bump when the precache list changes so old app shells are dropped
+const SHELL_CACHE = 'onb-mod-analyzer-shell-v1';
+
+// Analyzer builds, shared with js/wasm-cache.mjs (keep the name in sync)
+const VERSIONS_CACHE = 'onb-mod-analyzer-wasm';
+
+// Only the entry points are listed - every other module, stylesheet and vendor script the page
+// loads is sent over by the page after startup (see js/offline.mjs), so the list can't go stale
+const APP_SHELL = [
+    './',
+    './index.html',
+    './manifest.webmanifest',
+    './icon.svg',
+    './css/styles.css',
+    './vendor/atom-one-dark.min.css',
+    './vendor/jszip.min.js',
+    './vendor/d3.min.js',
+    './vendor/highlight.min.js',
+    './js/main.mjs',
+    './js/worker.mjs',
+    './versions/index.json'
+];
+
+// Give up on a slow network after this long and answer from the cache
+const NETWORK_TIMEOUT = 3000;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('onb-mod-analyzer-shell-') && name !== SHELL_CACHE)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page reports the files it loaded so all of js/**, css/** and vendor/** end up cached
+self.addEventListener('message', (event) => {
+    if (event.data?.type !== 'precache') return;
+    
+    const urls = (event.data.urls || []).filter(isShellRequest);
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(cache => Promise.all(urls.map(url =>
+            cache.match(url).then(cached => cached || cache.add(url).catch(() => {}))
+        )))
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    
+    const version = getVersionFromUrl(request.url);
+    if (version) {
+        // Released builds never change; 'latest' moves, so prefer the network for it
+        event.respondWith(version === 'latest'
+            ? networkFirst(request, VERSIONS_CACHE, false)
+            : cacheFirst(request, VERSIONS_CACHE));
+    } else if (request.mode === 'navigate' || isShellRequest(request.url)) {
+        event.respondWith(networkFirst(request, SHELL_CACHE, true));
+    }
+});
+
+/**
+ * Analyzer version a request belongs to, e.g. "v1.0.4" for versions/v1.0.4/onb_mod_file.wasm
+ */
+function getVersionFromUrl(url) {
+    const match = new URL(url).pathname.match(/\/versions\/([^/]+)\/[^/]+$/);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Check if a URL is part of the app itself (as opposed to an analyzer build)
+ */
+function isShellRequest(url) {
+    const { pathname, origin } = new URL(url, self.location.href);
+    if (origin !== self.location.origin) return false;
+    
+    const scope = new URL(self.registration.scope).pathname;
+    const path = pathname.startsWith(scope) ? pathname.slice(scope.length) : pathname;
+    return path === '' || path === 'index.html' || path === 'manifest.webmanifest' || path === 'icon.svg'
+        || path === 'versions/index.json' || /^(js|css|vendor)\//.test(path);
+}
+
+/**
+ * Answer from the cache, only going to the network for files that were never stored
+ * Builds are only stored when the user makes a version available offline (or the page compiles it)
+ */
+async function cacheFirst(request, cacheName) {
+    const cached = await caches.match(request, { cacheName });
+    return cached || fetch(request);
+}
+
+/**
+ * Try the network first so updates show up, falling back to the cache when offline or slow
+ * @param {Request} request - Request to answer
+ * @param {string} cacheName - Cache to read from (and update when store is set)
+ * @param {boolean} store - Keep successful responses for next time
+ */
+async function networkFirst(request, cacheName, store) {
+    const cache = await caches.open(cacheName);
+    const network = fetch(request).then(response => {
+        if (store && response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    });
+    // Answered from the cache below if this loses the race - don't report the failure twice
+    network.catch(() => {});
+    
+    let timer;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(resolve, NETWORK_TIMEOUT);
+    });
+    
+    try {
+        const response = await Promise.race([network, timeout]);
+        if (response) return response;
+    } catch (error) {
+        // Offline - fall through to the cache
+    } finally {
+        clearTimeout(timer);
+    }
+    
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    
+    // Nothing cached yet, so the slow network is still the best answer
+    return cached || network;
+}